@@ -0,0 +1,72 @@
+// api-cache.js - On-disk cache of GitHub API responses, revalidated with ETags
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// Entries that haven't been used for this long are dropped by prune()
+const MAX_AGE_DAYS = 30;
+
+class ApiCache {
+    constructor(repoStorage) {
+        this.cacheDir = path.join(repoStorage.baseDir, '.repospace-cache');
+    }
+
+    // Responses differ per account (private repos), so the token is part of the key
+    getKey(url, accessToken = null) {
+        const identity = accessToken ? crypto.createHash('sha256').update(accessToken).digest('hex') : 'anonymous';
+        return crypto.createHash('sha1').update(`${identity}\n${url}`).digest('hex');
+    }
+
+    getEntryPath(key) {
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+
+    async get(key) {
+        const entryPath = this.getEntryPath(key);
+        if (!(await fs.pathExists(entryPath))) {
+            return null;
+        }
+        try {
+            return await fs.readJSON(entryPath);
+        } catch (error) {
+            console.warn('Ignoring unreadable cache entry:', error.message);
+            return null;
+        }
+    }
+
+    // A failed write only costs a cache miss later, so it never fails the request
+    async set(key, entry) {
+        try {
+            await fs.ensureDir(this.cacheDir);
+            await fs.writeJSON(this.getEntryPath(key), entry);
+        } catch (error) {
+            console.warn('Could not write cache entry:', error.message);
+        }
+    }
+
+    async prune(maxAgeDays = MAX_AGE_DAYS) {
+        if (!(await fs.pathExists(this.cacheDir))) {
+            return 0;
+        }
+
+        const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+        let removed = 0;
+        for (const name of await fs.readdir(this.cacheDir)) {
+            const entryPath = path.join(this.cacheDir, name);
+            const stats = await fs.stat(entryPath);
+            if (stats.mtimeMs < cutoff) {
+                await fs.remove(entryPath);
+                removed++;
+            }
+        }
+
+        if (removed > 0) console.log(`🧹 Pruned ${removed} cached API responses`);
+        return removed;
+    }
+
+    async clear() {
+        await fs.remove(this.cacheDir);
+    }
+}
+
+module.exports = ApiCache;
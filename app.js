@@ -1,34 +1,30 @@
-// app.js - Main application logic (Fixed for Electron)
-console.log('🔍 Debugging module availability:');
-console.log('- require available:', typeof require !== 'undefined');
-console.log('- electron available:', typeof require !== 'undefined' && require.resolve ? 'yes' : 'no');
-
-let GitHubAPI, RepoStorage, ipcRenderer;
-
-try {
-    if (typeof require !== 'undefined') {
-        console.log('📁 Attempting to load modules...');
-        ipcRenderer = require('electron').ipcRenderer;
-        console.log('✅ ipcRenderer loaded');
-        
-        GitHubAPI = require('./github-api');
-        console.log('✅ GitHubAPI loaded');
-        
-        RepoStorage = require('./repo-storage');
-        console.log('✅ RepoStorage loaded');
-    }
-} catch (error) {
-    console.error('❌ Module loading failed:', error.message);
-    console.error('📍 Error details:', error);
+// app.js - Main application logic. The page runs without Node: GitHub, the library
+// and the filesystem are reached through the window.repospace bridge (preload.js)
+const repospace = window.repospace || null;
+if (!repospace) {
+    console.error('❌ window.repospace is missing - preload.js did not run');
 }
 
 
 class RepoSpaceApp {
     constructor() {
-        this.githubAPI = GitHubAPI ? new GitHubAPI() : null;
-        this.repoStorage = RepoStorage ? new RepoStorage() : null;
+        this.user = null; // the signed-in GitHub user, as main reported it
+        this.activeDownloadId = null;
+        this.queueState = null; // last snapshot of main's download queue
+        this.queueRenderPending = false;
         this.currentRepo = null;
+        this.searchResults = new Map(); // full name -> GitHub search result shown in the grid
+        this.readmeRenderer = repospace ? new ReadmeRenderer(repospace.render.markdown) : null;
+        this.manageMode = false;
+        this.librarySelection = new Set(); // repo ids picked for bulk actions
+        this.editingRepoId = null;
+        this.renamingCategory = null;
+        this.myGitHub = null; // tab, per-tab repo cache and selection of the "My GitHub" view
         this.searchTimeout = null;
+        this.deviceFlowActive = false;
+        this.searchState = null; // query, sort and paging of the current GitHub search
+        this.searchObserver = null;
+        this.viewerState = null;
         
         this.elements = {};
         
@@ -44,26 +40,73 @@ class RepoSpaceApp {
         
         this.initializeTheme();
         
-        if (this.repoStorage) {
-            this.repoStorage.ensureBaseDirectory();
+        if (repospace) {
+            this.initStorage();
+            this.restoreSession();
         }
         
         console.log('✅ RepoSpace initialized');
     }
     
+    async initStorage() {
+        try {
+            // The library used to live in localStorage; main imports it once, then it can go
+            const legacy = localStorage.getItem('repospace_saved_repos');
+            const migrated = await repospace.storage.init(legacy);
+            if (legacy) localStorage.removeItem('repospace_saved_repos');
+            if (migrated.skipped) {
+                this.showError(`${migrated.skipped} entries of the old library could not be read and were not imported`);
+            }
+            
+            const concurrency = parseInt(localStorage.getItem('queue_concurrency'), 10);
+            if (concurrency) await repospace.queue.setConcurrency(concurrency);
+            this.queueState = await repospace.queue.getState();
+            this.renderQueue();
+        } catch (error) {
+            this.showError('Failed to open the RepoSpace library: ' + error.message);
+        }
+    }
+    
     cacheElements() {
         this.elements = {
             themeToggle: document.getElementById('themeToggle'),
             themeIcon: document.getElementById('themeIcon'),
             browseSavedBtn: document.getElementById('browseSavedBtn'),
+            storageBtn: document.getElementById('storageBtn'),
+            myGitHubBtn: document.getElementById('myGitHubBtn'),
+            searchFiltersBtn: document.getElementById('searchFiltersBtn'),
+            searchFilters: document.getElementById('searchFilters'),
+            savedSearches: document.getElementById('savedSearches'),
             loginBtn: document.getElementById('loginBtn'),
             userInfo: document.getElementById('userInfo'),
+            userAvatar: document.getElementById('userAvatar'),
+            userLogin: document.getElementById('userLogin'),
+            signOutBtn: document.getElementById('signOutBtn'),
+            rateLimit: document.getElementById('rateLimit'),
             searchInput: document.getElementById('searchInput'),
             searchBtn: document.getElementById('searchBtn'),
+            searchScope: document.getElementById('searchScope'),
             repoGrid: document.getElementById('repoGrid'),
             saveModal: document.getElementById('saveModal'),
             repoName: document.getElementById('repoName'),
-            customCategory: document.getElementById('customCategory')
+            customCategory: document.getElementById('customCategory'),
+            cloneOptions: document.getElementById('cloneOptions'),
+            shallowClone: document.getElementById('shallowClone'),
+            cancelDownloadBtn: document.getElementById('cancelDownloadBtn'),
+            queueBtn: document.getElementById('queueBtn'),
+            queueCount: document.getElementById('queueCount'),
+            queuePanel: document.getElementById('queuePanel'),
+            saveRefInput: document.getElementById('saveRefInput'),
+            saveFilter: document.getElementById('saveFilter'),
+            filterPreview: document.getElementById('filterPreview'),
+            loginModal: document.getElementById('loginModal'),
+            repoDetailsModal: document.getElementById('repoDetailsModal'),
+            categoryModal: document.getElementById('categoryModal'),
+            localRepoModal: document.getElementById('localRepoModal'),
+            queueList: document.getElementById('queueList'),
+            queueStatus: document.getElementById('queueStatus'),
+            queueConcurrency: document.getElementById('queueConcurrency'),
+            hljsTheme: document.getElementById('hljsTheme')
         };
         
         const missingElements = Object.entries(this.elements)
@@ -82,13 +125,19 @@ class RepoSpaceApp {
         if (this.elements.browseSavedBtn) {
     				this.elements.browseSavedBtn.addEventListener('click', () => this.showSavedRepos());
 				}
+        if (this.elements.storageBtn) {
+            this.elements.storageBtn.addEventListener('click', () => this.showStorageDashboard());
+        }
+        if (this.elements.myGitHubBtn) {
+            this.elements.myGitHubBtn.addEventListener('click', () => this.showMyGitHub());
+        }
 				console.log('🔍 Looking for browseSavedBtn element...');
 				if (this.elements.browseSavedBtn) {
     				console.log('✅ Browse Saved button found and connected');
     				this.elements.browseSavedBtn.addEventListener('click', (e) => {
         		console.log('🖱️ Browse Saved button clicked!');
         		console.log('🔍 Event details:', e);
-        		console.log('📦 RepoStorage available:', !!this.repoStorage);
+        		console.log('📦 Bridge available:', !!repospace);
         		this.showSavedRepos();
     				});
 				} else {
@@ -97,7 +146,10 @@ class RepoSpaceApp {
 				}
 
         if (this.elements.loginBtn) {
-            this.elements.loginBtn.addEventListener('click', () => this.handleLogin());
+            this.elements.loginBtn.addEventListener('click', () => this.openLoginModal());
+        }
+        if (this.elements.signOutBtn) {
+            this.elements.signOutBtn.addEventListener('click', () => this.handleSignOut());
         }
         
         if (this.elements.searchInput) {
@@ -108,12 +160,35 @@ class RepoSpaceApp {
         if (this.elements.saveModal) {
             this.elements.saveModal.addEventListener('click', (e) => this.handleModalClick(e));
         }
+        [this.elements.repoDetailsModal, this.elements.categoryModal, this.elements.localRepoModal, this.elements.loginModal].forEach(modal => {
+            if (modal) modal.addEventListener('click', (e) => this.handleModalClick(e));
+        });
+        if (this.elements.repoGrid) {
+            this.elements.repoGrid.addEventListener('click', (e) => this.handleCardAction(e));
+        }
+        [['closeSaveModalBtn', () => this.closeSaveModal()],
+         ['cancelSaveModalBtn', () => this.closeSaveModal()],
+         ['queueRepositoryBtn', () => this.queueRepository()],
+         ['saveRepositoryBtn', () => this.saveRepository()],
+         ['closeRepoDetailsBtn', () => this.closeRepoDetails()],
+         ['cancelRepoDetailsBtn', () => this.closeRepoDetails()],
+         ['saveRepoDetailsBtn', () => this.saveRepoDetails()],
+         ['closeCategoryModalBtn', () => this.closeCategoryModal()],
+         ['cancelCategoryModalBtn', () => this.closeCategoryModal()],
+         ['renameCategoryBtn', () => this.renameCategory()],
+         ['closeLocalRepoModalBtn', () => this.closeLocalRepoModal()],
+         ['cancelLocalRepoBtn', () => this.closeLocalRepoModal()],
+         ['addLocalRepoBtn', () => this.addLocalRepo()],
+         ['closeLoginModalBtn', () => this.closeLoginModal()],
+         ['startDeviceFlowBtn', () => this.startDeviceFlow()],
+         ['loginWebFlowBtn', () => this.handleLogin()],
+         ['patSignInBtn', () => this.signInWithToken()]].forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        });
         if (this.elements.searchBtn) {
     			this.elements.searchBtn.addEventListener('click', () => {
-        		const query = this.elements.searchInput.value.trim();
-        		if (query) {
-            	this.searchRepositories(query);
-        		}
+        		this.runSearch();
     			});
 				}
         
@@ -121,6 +196,82 @@ class RepoSpaceApp {
             btn.addEventListener('click', () => this.selectCategory(btn));
         });
         
+        if (this.elements.queueBtn) {
+            this.elements.queueBtn.addEventListener('click', () => this.toggleQueuePanel());
+        }
+        const closeQueueBtn = document.getElementById('closeQueueBtn');
+        if (closeQueueBtn) {
+            closeQueueBtn.addEventListener('click', () => this.toggleQueuePanel(false));
+        }
+        const clearQueueBtn = document.getElementById('clearQueueBtn');
+        if (clearQueueBtn) {
+            clearQueueBtn.addEventListener('click', () => repospace && repospace.queue.clearFinished());
+        }
+        if (this.elements.queueConcurrency && repospace) {
+            this.elements.queueConcurrency.value = localStorage.getItem('queue_concurrency') || '2';
+            this.elements.queueConcurrency.addEventListener('change', (e) => {
+                localStorage.setItem('queue_concurrency', e.target.value);
+                repospace.queue.setConcurrency(e.target.value);
+            });
+        }
+        if (repospace) {
+            repospace.queue.onChange((state) => {
+                this.queueState = state;
+                this.scheduleQueueRender();
+            });
+            repospace.github.onRateLimit((rateLimits) => this.renderRateLimit(rateLimits));
+            repospace.github.getRateLimits()
+                .then((rateLimits) => this.renderRateLimit(rateLimits))
+                .catch((error) => console.warn('Could not read rate limits:', error.message));
+        }
+        if (this.elements.searchScope) {
+            this.elements.searchScope.addEventListener('change', () => {
+                // The filter panel only applies to GitHub searches
+                const offline = this.elements.searchScope.value === 'offline';
+                if (this.elements.searchFiltersBtn) this.elements.searchFiltersBtn.style.display = offline ? 'none' : '';
+                if (offline && this.elements.searchFilters) this.elements.searchFilters.style.display = 'none';
+                this.runSearch();
+            });
+        }
+        if (this.elements.searchFiltersBtn) {
+            this.elements.searchFiltersBtn.addEventListener('click', () => {
+                const panel = this.elements.searchFilters;
+                panel.style.display = panel.style.display === 'none' ? '' : 'none';
+            });
+        }
+        [['applyFiltersBtn', () => this.runSearch()],
+         ['resetFiltersBtn', () => this.setSearchFilters({})],
+         ['saveSearchBtn', () => {
+            document.getElementById('saveSearchRow').style.display = '';
+            document.getElementById('savedSearchName').focus();
+         }],
+         ['confirmSaveSearchBtn', () => this.saveCurrentSearch()],
+         ['deleteSearchBtn', () => this.deleteSavedSearch()]].forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        });
+        if (this.elements.savedSearches) {
+            this.elements.savedSearches.addEventListener('change', () => this.runSavedSearch(this.elements.savedSearches.value));
+            this.renderSavedSearches();
+        }
+        
+        if (this.elements.cancelDownloadBtn) {
+            this.elements.cancelDownloadBtn.addEventListener('click', () => this.cancelActiveDownload());
+        }
+        
+        document.querySelectorAll('input[name="saveMode"]').forEach(input => {
+            input.addEventListener('change', () => this.updateSaveModeOptions());
+        });
+        if (this.elements.saveRefInput) {
+            this.elements.saveRefInput.addEventListener('input', () => {
+                if (this.currentRepo) this.currentRepo.ref = this.elements.saveRefInput.value.trim() || null;
+            });
+        }
+        const previewFilterBtn = document.getElementById('previewFilterBtn');
+        if (previewFilterBtn) {
+            previewFilterBtn.addEventListener('click', () => this.previewSaveFilter());
+        }
+        
         document.addEventListener('keydown', (e) => this.handleGlobalKeyboard(e));
     }
     
@@ -140,6 +291,13 @@ class RepoSpaceApp {
                 this.elements.themeIcon.textContent = '🌙';
             }
         }
+        this.updateHighlightTheme(savedTheme === 'dark');
+    }
+    
+    updateHighlightTheme(isDark) {
+        if (this.elements.hljsTheme) {
+            this.elements.hljsTheme.href = `node_modules/highlight.js/styles/${isDark ? 'github-dark' : 'github'}.css`;
+        }
     }
     
     toggleTheme() {
@@ -150,79 +308,197 @@ class RepoSpaceApp {
             this.elements.themeIcon.textContent = isDark ? '☀️' : '🌙';
         }
         localStorage.setItem('theme', isDark ? 'dark' : 'light');
+        this.updateHighlightTheme(isDark);
         
         console.log(`🎨 Switched to ${isDark ? 'dark' : 'light'} theme`);
     }
     
     async handleLogin() {
-        if (!ipcRenderer) {
+        if (!repospace) {
             this.showError('OAuth not available - not running in Electron');
             return;
         }
         
+        const button = document.getElementById('loginWebFlowBtn');
         try {
-            this.elements.loginBtn.textContent = 'Signing in...';
-            this.elements.loginBtn.disabled = true;
-            
-            const accessToken = await ipcRenderer.invoke('start-oauth');
-            
-            if (this.githubAPI) {
-                this.githubAPI = new GitHubAPI(accessToken);
-            }
+            button.textContent = 'Signing in...';
+            button.disabled = true;
             
-            this.elements.loginBtn.style.display = 'none';
-            this.elements.userInfo.style.display = 'block';
-            this.elements.userInfo.textContent = '✅ Signed in';
+            this.showSignedInUser(await repospace.auth.startOAuth());
+            this.closeLoginModal();
             
             console.log('🔑 Successfully authenticated with GitHub');
             
         } catch (error) {
             console.error('❌ Login failed:', error);
             this.showError('Login failed: ' + error.message);
+        } finally {
+            button.textContent = 'Continue to GitHub';
+            button.disabled = false;
+        }
+    }
+    
+    // Only offer the flows main has an OAuth app configured for; pasting a token always works
+    async openLoginModal() {
+        if (!this.elements.loginModal) return;
+        
+        let options = { webFlow: false, deviceFlow: false };
+        try {
+            if (repospace) options = await repospace.auth.getOptions();
+        } catch (error) {
+            console.warn('Could not read sign-in options:', error.message);
+        }
+        
+        document.getElementById('deviceFlowOption').style.display = options.deviceFlow ? '' : 'none';
+        document.getElementById('webFlowOption').style.display = options.webFlow ? '' : 'none';
+        document.getElementById('deviceFlowStatus').style.display = 'none';
+        document.getElementById('startDeviceFlowBtn').disabled = false;
+        document.getElementById('patInput').value = '';
+        this.elements.loginModal.style.display = 'block';
+    }
+    
+    closeLoginModal() {
+        if (this.elements.loginModal) {
+            this.elements.loginModal.style.display = 'none';
+        }
+        if (this.deviceFlowActive) {
+            this.deviceFlowActive = false;
+            repospace.auth.cancelDeviceFlow();
+        }
+    }
+    
+    async startDeviceFlow() {
+        const startButton = document.getElementById('startDeviceFlowBtn');
+        const message = document.getElementById('deviceFlowMessage');
+        
+        try {
+            startButton.disabled = true;
+            const code = await repospace.auth.startDeviceFlow();
+            this.deviceFlowActive = true;
+            
+            document.getElementById('deviceUserCode').textContent = code.userCode;
+            document.getElementById('deviceFlowStatus').style.display = '';
+            document.getElementById('copyDeviceCodeBtn').onclick = () => navigator.clipboard.writeText(code.userCode);
+            document.getElementById('openDeviceUrlBtn').onclick = () => this.openExternalLink(code.verificationUri);
+            message.textContent = `Enter this code at ${code.verificationUri} within ${Math.round(code.expiresIn / 60)} minutes. Waiting for approval...`;
             
-            this.elements.loginBtn.textContent = 'Sign in with GitHub';
-            this.elements.loginBtn.disabled = false;
+            const user = await repospace.auth.pollDeviceFlow();
+            this.deviceFlowActive = false;
+            this.showSignedInUser(user);
+            this.closeLoginModal();
+            console.log('🔑 Signed in with a device code');
+        } catch (error) {
+            // Closing the modal cancels the flow; that isn't an error worth showing
+            if (!this.deviceFlowActive && this.elements.loginModal.style.display === 'none') return;
+            this.deviceFlowActive = false;
+            console.error('❌ Device sign-in failed:', error);
+            message.textContent = `Sign-in failed: ${error.message}`;
+        } finally {
+            startButton.disabled = false;
         }
     }
-		showSavedRepos() {
-				console.log('📁 showSavedRepos() called');
     
-    		if (!this.repoStorage) {
-        		console.log('❌ Storage system not available');
-        		this.showError('Storage system not available');
-        		return;
-    		}
+    async signInWithToken() {
+        const input = document.getElementById('patInput');
+        const token = input.value.trim();
+        if (!token) {
+            this.showError('Paste a personal access token first');
+            return;
+        }
+        
+        try {
+            this.showSignedInUser(await repospace.auth.signInWithToken(token));
+        } catch (error) {
+            console.error('❌ Token sign-in failed:', error);
+            this.showError(error.status === 401 ? 'GitHub did not accept that token' : `Sign-in failed: ${error.message}`);
+            return;
+        }
+        input.value = '';
+        this.closeLoginModal();
+        console.log('🔑 Signed in with a personal access token');
+    }
     
-    		const categories = this.repoStorage.getCategories();
-		    console.log('📂 Found categories:', categories);
-
-    		if (categories.length === 0) {
-        		this.elements.repoGrid.innerHTML = `
-            		<div style="text-align: center; padding: 40px; color: var(--text-color);">
-                		<div style="font-size: 3rem; margin-bottom: 20px;">📁</div>
-                		<h3>No saved repositories yet</h3>
-                		<p>Search and save some repositories to see them here!</p>
-            		</div>
-        		`;
-        		return;
-    		}
+    // Main signs back in with the token it kept from the last session, if GitHub still accepts it
+    async restoreSession() {
+        try {
+            const user = await repospace.auth.restore();
+            if (user) {
+                this.showSignedInUser(user);
+                console.log('🔑 Restored GitHub session');
+            }
+        } catch (error) {
+            console.error('❌ Could not restore GitHub session:', error);
+        }
+    }
     
-    		let html = '';
-    		categories.forEach(category => {
-        		const repos = this.repoStorage.getReposByCategory(category);
-        		html += `
-            		<div style="margin-bottom: 30px;">
-                		<h3 style="color: var(--primary-color); margin-bottom: 15px;">📂 ${category} (${repos.length})</h3>
-                		<div class="repo-grid">
-                    		${repos.map(repo => this.createSavedRepoCard(repo)).join('')}
-                		</div>
-            		</div>
-        		`;
-    		});
+    // The token stays in main; the page only learns who signed in
+    showSignedInUser(user) {
+        this.user = user;
+        this.elements.loginBtn.style.display = 'none';
+        this.elements.userInfo.style.display = '';
+        this.elements.userAvatar.src = user.avatar_url;
+        this.elements.userLogin.textContent = user.offline ? `${user.login} (offline)` : user.login;
+        this.elements.userInfo.title = user.name ? `Signed in as ${user.name}` : 'Signed in';
+        if (this.elements.myGitHubBtn) {
+            this.elements.myGitHubBtn.style.display = '';
+        }
+        this.myGitHub = null;
+    }
     
-    		this.elements.repoGrid.innerHTML = html;
-    		console.log(`📁 Showing ${categories.length} categories with saved repos`);
-		}
+    async handleSignOut() {
+        if (!confirm('Sign out? RepoSpace will also revoke its access to your GitHub account.')) return;
+        
+        try {
+            const result = await repospace.auth.signOut();
+            if (result.revoked === false) {
+                this.showError(`Signed out, but the token could not be revoked: ${result.error}`);
+            }
+        } catch (error) {
+            console.error('❌ Sign out failed:', error);
+        }
+        
+        this.user = null;
+        this.myGitHub = null;
+        this.elements.userInfo.style.display = 'none';
+        this.elements.userAvatar.removeAttribute('src');
+        this.elements.userLogin.textContent = '';
+        this.elements.loginBtn.textContent = 'Sign in with GitHub';
+        this.elements.loginBtn.disabled = false;
+        this.elements.loginBtn.style.display = '';
+        if (this.elements.myGitHubBtn) {
+            this.elements.myGitHubBtn.style.display = 'none';
+        }
+        console.log('👋 Signed out of GitHub');
+    }
+    
+    // Remaining requests per GitHub quota, e.g. "search 28/30 · core 4980/5000"
+    renderRateLimit(rateLimits) {
+        const element = this.elements.rateLimit;
+        if (!element) return;
+        
+        const now = Date.now();
+        const entries = Object.entries(rateLimits || {})
+            .filter(([, limit]) => Number.isFinite(limit.remaining) && Number.isFinite(limit.limit));
+        if (entries.length === 0) {
+            element.textContent = '';
+            element.title = '';
+            element.classList.remove('low');
+            return;
+        }
+        
+        // A window that has already reset is back to full
+        const current = entries.map(([resource, limit]) => ({
+            resource,
+            limit: limit.limit,
+            remaining: limit.reset <= now ? limit.limit : limit.remaining,
+            reset: limit.reset
+        }));
+        const low = current.filter(limit => limit.remaining < limit.limit * 0.1);
+        
+        element.textContent = '⏱️ ' + current.map(limit => `${limit.resource} ${limit.remaining}/${limit.limit}`).join(' · ');
+        element.title = current.map(limit => `${limit.resource}: ${limit.remaining} of ${limit.limit} requests left, resets at ${new Date(limit.reset).toLocaleTimeString()}`).join('\n');
+        element.classList.toggle('low', low.length > 0);
+    }
     
     handleSearchInput(e) {
         clearTimeout(this.searchTimeout);
@@ -240,26 +516,145 @@ class RepoSpaceApp {
     handleSearchKeypress(e) {
         if (e.key === 'Enter') {
             clearTimeout(this.searchTimeout);
-            const query = e.target.value.trim();
-            if (query) {
-                this.searchRepositories(query);
-            }
+            this.runSearch();
+        }
+    }
+    
+    // Search with the box and filter panel as they are; filters alone are enough for GitHub
+    async runSearch() {
+        const query = this.elements.searchInput.value.trim();
+        const offline = this.elements.searchScope && this.elements.searchScope.value === 'offline';
+        if (query || (!offline && repospace && await repospace.github.buildSearchQuery('', this.getSearchFilters()))) {
+            this.searchRepositories(query);
+        }
+    }
+    
+    getSearchFilters() {
+        const value = (id) => {
+            const input = document.getElementById(id);
+            return input ? input.value.trim() : '';
+        };
+        return {
+            language: value('filterLanguage'),
+            minStars: value('filterMinStars'),
+            maxStars: value('filterMaxStars'),
+            pushedAfter: value('filterPushedAfter'),
+            topics: value('filterTopics').split(',').map(topic => topic.trim()).filter(Boolean),
+            license: value('filterLicense'),
+            forks: value('filterForks'),
+            archived: value('filterArchived'),
+            sort: value('filterSort')
+        };
+    }
+    
+    setSearchFilters(filters) {
+        const fields = {
+            filterLanguage: filters.language,
+            filterMinStars: filters.minStars,
+            filterMaxStars: filters.maxStars,
+            filterPushedAfter: filters.pushedAfter,
+            filterTopics: (filters.topics || []).join(', '),
+            filterLicense: filters.license,
+            filterForks: filters.forks,
+            filterArchived: filters.archived,
+            filterSort: filters.sort === undefined ? 'stars:desc' : filters.sort
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value || '';
+        });
+    }
+    
+    getSavedSearches() {
+        try {
+            return JSON.parse(localStorage.getItem('saved_searches')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+    
+    renderSavedSearches() {
+        const searches = this.getSavedSearches();
+        this.elements.savedSearches.innerHTML = `
+            <option value="">${searches.length > 0 ? 'Saved searches...' : 'No saved searches'}</option>
+            ${searches.map(search => `<option value="${this.escapeHtml(search.name)}">⭐ ${this.escapeHtml(search.name)}</option>`).join('')}
+        `;
+    }
+    
+    saveCurrentSearch() {
+        const name = document.getElementById('savedSearchName').value.trim();
+        if (!name) {
+            this.showError('Give the search a name');
+            return;
         }
+        
+        // Saving under an existing name replaces it
+        const searches = this.getSavedSearches().filter(search => search.name !== name);
+        searches.push({ name: name, query: this.elements.searchInput.value.trim(), filters: this.getSearchFilters() });
+        searches.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem('saved_searches', JSON.stringify(searches));
+        
+        document.getElementById('savedSearchName').value = '';
+        document.getElementById('saveSearchRow').style.display = 'none';
+        this.renderSavedSearches();
+        this.elements.savedSearches.value = name;
+        console.log(`⭐ Saved search "${name}"`);
+    }
+    
+    deleteSavedSearch() {
+        const name = this.elements.savedSearches.value;
+        if (!name || !confirm(`Delete the saved search "${name}"?`)) return;
+        
+        localStorage.setItem('saved_searches', JSON.stringify(this.getSavedSearches().filter(search => search.name !== name)));
+        this.renderSavedSearches();
+    }
+    
+    runSavedSearch(name) {
+        const search = this.getSavedSearches().find(s => s.name === name);
+        if (!search) return;
+        
+        this.elements.searchInput.value = search.query;
+        this.setSearchFilters(search.filters || {});
+        if (this.elements.searchScope) this.elements.searchScope.value = 'github';
+        this.runSearch();
     }
     
     async searchRepositories(query) {
-        if (!this.githubAPI) {
+        if (this.elements.searchScope && this.elements.searchScope.value === 'offline') {
+            await this.searchOffline(query);
+            return;
+        }
+        
+        if (!repospace) {
             this.showError('GitHub API not available');
             return;
         }
         
         try {
-            console.log('🔍 Searching for:', query);
+            const filters = this.getSearchFilters();
+            const [sort, order] = filters.sort.split(':');
+            const state = {
+                query: await repospace.github.buildSearchQuery(query, filters),
+                sort: sort || null,
+                order: order || 'desc',
+                page: 1,
+                count: 0,
+                total: 0,
+                loading: false,
+                cachedAt: null
+            };
+            this.searchState = state;
+            console.log('🔍 Searching for:', state.query);
             
             this.showLoading();
             
-            const results = await this.githubAPI.searchRepositories(query);
+            const results = await repospace.github.searchRepositories(state.query, { page: 1, sort: state.sort, order: state.order });
             
+            // Typing can start a newer search while this one is in flight
+            if (state !== this.searchState) return;
+            state.count = (results.items || []).length;
+            state.total = results.total_count || 0;
+            state.cachedAt = results.offline ? results.cachedAt : null;
             this.displaySearchResults(results.items || []);
             
         } catch (error) {
@@ -268,6 +663,106 @@ class RepoSpaceApp {
         }
     }
     
+    async searchOffline(query) {
+        if (!repospace) {
+            this.showError('Offline search not available');
+            return;
+        }
+        
+        try {
+            console.log('💾 Searching saved repositories for:', query);
+            
+            // Repos saved before indexing existed get indexed on first search
+            const unindexed = await repospace.search.getUnindexedRepos();
+            for (let i = 0; i < unindexed.length; i++) {
+                this.elements.repoGrid.innerHTML = `<div style="text-align: center; padding: 40px;">🔎 Indexing ${this.escapeHtml(unindexed[i].fullName)} (${i + 1}/${unindexed.length})...</div>`;
+                await repospace.search.build(unindexed[i].id);
+            }
+            
+            this.showLoading();
+            const [results, parsed] = await Promise.all([repospace.search.search(query), repospace.search.parseQuery(query)]);
+            this.displayOfflineResults(results, parsed.terms);
+        } catch (error) {
+            console.error('❌ Offline search failed:', error);
+            this.showError(`Offline search failed: ${error.message}`);
+        }
+    }
+    
+    displayOfflineResults(results, terms) {
+        if (!this.elements.repoGrid) return;
+        
+        if (results.length === 0) {
+            this.elements.repoGrid.innerHTML = `
+                <div style="text-align: center; padding: 40px; color: var(--text-color);">
+                    <h3>No matches in your saved repositories</h3>
+                    <p>Filters: <code>path:src/**/*.js</code> <code>lang:python</code> <code>category:tools</code> <code>repo:owner/name</code></p>
+                </div>
+            `;
+            return;
+        }
+        
+        // Group matching lines by repository and file
+        const groups = new Map();
+        results.forEach(result => {
+            const key = `${result.repo.id}:${result.path}`;
+            if (!groups.has(key)) {
+                groups.set(key, { repo: result.repo, path: result.path, lines: [] });
+            }
+            if (result.line) groups.get(key).lines.push(result);
+        });
+        
+        this.elements.repoGrid.innerHTML = `
+            <div class="offline-results">
+                <p style="opacity: 0.7; margin-bottom: 15px;">💾 ${results.length} matches in ${groups.size} files</p>
+                ${[...groups.values()].map(group => `
+                    <div class="offline-result">
+                        <div class="offline-result-file" data-id="${group.repo.id}" data-path="${this.escapeHtml(group.path)}">
+                            <strong>${this.escapeHtml(group.repo.fullName)}</strong> / ${this.escapeHtml(group.path)}
+                            <small>📂 ${this.escapeHtml(group.repo.category)}</small>
+                        </div>
+                        ${group.lines.slice(0, 5).map(match => `
+                            <div class="offline-result-line" data-id="${group.repo.id}" data-path="${this.escapeHtml(group.path)}" data-line="${match.line}">
+                                <span class="line-no">${match.line}</span>
+                                <code>${this.highlightTerms(match.text, terms)}</code>
+                            </div>
+                        `).join('')}
+                        ${group.lines.length > 5 ? `<small style="opacity: 0.6;">+${group.lines.length - 5} more lines</small>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        
+        this.elements.repoGrid.querySelectorAll('[data-path]').forEach(el => {
+            el.addEventListener('click', () => {
+                this.showRepoViewer(el.dataset.id, {
+                    path: el.dataset.path,
+                    line: el.dataset.line ? parseInt(el.dataset.line, 10) : null
+                });
+            });
+        });
+        console.log(`💾 Found ${results.length} offline matches`);
+    }
+    
+    // Terms are found in the raw text and every piece is escaped on its own, so a search
+    // for "amp" or "lt" can't put a <mark> inside an entity the escaping produced
+    highlightTerms(text, terms) {
+        const source = String(text == null ? '' : text);
+        const patterns = terms.filter(Boolean)
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (patterns.length === 0) {
+            return this.escapeHtml(source);
+        }
+
+        let html = '';
+        let last = 0;
+        for (const match of source.matchAll(new RegExp(patterns.join('|'), 'gi'))) {
+            html += this.escapeHtml(source.slice(last, match.index)) + `<mark>${this.escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+        return html + this.escapeHtml(source.slice(last));
+    }
+    
     displaySearchResults(repositories) {
         if (!this.elements.repoGrid) return;
         
@@ -281,35 +776,110 @@ class RepoSpaceApp {
             return;
         }
         
-        this.elements.repoGrid.innerHTML = repositories.map(repo => this.createRepoCard(repo)).join('');
-        console.log(`📦 Found ${repositories.length} repositories`);
+        const cachedAt = this.searchState && this.searchState.cachedAt;
+        this.searchResults = new Map(repositories.map(repo => [repo.full_name, repo]));
+        this.elements.repoGrid.innerHTML = (cachedAt ? this.createOfflineBadge(cachedAt) : '') +
+            repositories.map(repo => this.createRepoCard(repo)).join('') +
+            '<div class="search-footer" id="searchFooter"></div>';
+        this.renderSearchFooter();
+        
+        // Scrolling near the end of the results loads the next page
+        if (this.searchObserver) this.searchObserver.disconnect();
+        this.searchObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) this.loadMoreSearchResults();
+        }, { rootMargin: '300px' });
+        this.searchObserver.observe(document.getElementById('searchFooter'));
+        
+        console.log(`📦 Found ${this.searchState ? this.searchState.total : repositories.length} repositories`);
     }
     
-    createRepoCard(repo) {
-        const description = (repo.description || 'No description available').replace(/'/g, '&#39;').replace(/"/g, '&quot;');
+    // Shown above anything GitHubAPI served from its cache because GitHub was unreachable
+    createOfflineBadge(cachedAt) {
+        return `
+            <div class="offline-badge" title="Cached ${this.escapeHtml(new Date(cachedAt).toLocaleString())}">
+                📴 Offline — showing results cached ${this.formatDate(cachedAt)}, which may be out of date
+            </div>
+        `;
+    }
+    
+    hasMoreSearchResults() {
+        const state = this.searchState;
+        // GitHub search only serves the first 1000 results of a query
+        return !!state && state.count < Math.min(state.total, 1000);
+    }
+    
+    async loadMoreSearchResults() {
+        const state = this.searchState;
+        if (!state || state.loading || !this.hasMoreSearchResults()) return;
+        
+        state.loading = true;
+        this.renderSearchFooter();
+        try {
+            const results = await repospace.github.searchRepositories(state.query, { page: state.page + 1, sort: state.sort, order: state.order });
+            if (state !== this.searchState) return;
+            
+            const items = results.items || [];
+            state.page++;
+            state.count += items.length;
+            // Counts can shrink between pages; stop instead of asking for empty pages forever
+            if (items.length === 0) state.total = state.count;
+            
+            items.forEach(repo => this.searchResults.set(repo.full_name, repo));
+            const footer = document.getElementById('searchFooter');
+            if (footer) footer.insertAdjacentHTML('beforebegin', items.map(repo => this.createRepoCard(repo)).join(''));
+        } catch (error) {
+            console.error('❌ Loading more results failed:', error);
+            this.showError(`Could not load more results: ${error.message}`);
+        } finally {
+            state.loading = false;
+            if (state === this.searchState) this.renderSearchFooter();
+        }
+    }
+    
+    renderSearchFooter() {
+        const footer = document.getElementById('searchFooter');
+        const state = this.searchState;
+        if (!footer || !state) return;
         
+        let status;
+        if (state.loading) {
+            status = '⏳ Loading more...';
+        } else if (this.hasMoreSearchResults()) {
+            status = '<button class="btn btn-secondary" id="loadMoreBtn">Load more</button>';
+        } else if (state.total > state.count) {
+            status = 'GitHub only returns the first 1000 results — add filters to narrow the search';
+        } else {
+            status = 'End of results';
+        }
+        
+        footer.innerHTML = `<span>Showing ${this.formatNumber(state.count)} of ${this.formatNumber(state.total)}</span> ${status}`;
+        const loadMoreBtn = document.getElementById('loadMoreBtn');
+        if (loadMoreBtn) loadMoreBtn.addEventListener('click', () => this.loadMoreSearchResults());
+    }
+    
+    createRepoCard(repo) {
         return `
-            <div class="repo-card" data-repo="${repo.full_name}">
+            <div class="repo-card" data-repo="${this.escapeHtml(repo.full_name)}">
                 <div class="repo-header">
-                		<a href="#" class="repo-name" onclick="app.viewRepo('${repo.full_name}')">${repo.full_name}</a>
+                		<a href="#" class="repo-name" data-action="view">${this.escapeHtml(repo.full_name)}</a>
                     <div class="repo-stars">⭐ ${this.formatNumber(repo.stargazers_count)}</div>
                 </div>
                 <p class="repo-description">
-                    ${repo.description || 'No description available'}
+                    ${this.escapeHtml(repo.description || 'No description available')}
                 </p>
                 <div class="repo-meta">
                     <div class="repo-language">
                         ${repo.language ? `
                             <div class="language-dot" style="background-color: ${this.getLanguageColor(repo.language)};"></div>
-                            ${repo.language}
+                            ${this.escapeHtml(repo.language)}
                         ` : 'No language specified'}
                     </div>
                     <span>Updated ${this.formatDate(repo.updated_at)}</span>
                 </div>
-                <button class="btn btn-secondary save-btn" onclick="app.openSaveModal('${repo.full_name}', '${repo.clone_url}', '${description}', '${repo.language || ''}', ${repo.stargazers_count})">
+                <button class="btn btn-secondary save-btn" data-action="save">
     								💾 Save
 								</button>
-								<button class="btn btn-secondary save-btn" onclick="app.openRepoFolder('${repo.full_name}')" style="right: 70px;">
+								<button class="btn btn-secondary save-btn" data-action="browse" style="right: 70px;">
     								📁 Browse
 								</button>
             </div>
@@ -317,35 +887,97 @@ class RepoSpaceApp {
     }
 		createSavedRepoCard(repo) {
     		return `
-        		<div class="repo-card">
+        		<div class="repo-card ${this.librarySelection.has(repo.id) ? 'selected' : ''}" data-id="${this.escapeHtml(repo.id)}">
+            		${this.manageMode ? `
+                		<label class="repo-select-label">
+                    		<input type="checkbox" class="repo-select" data-id="${this.escapeHtml(repo.id)}" ${this.librarySelection.has(repo.id) ? 'checked' : ''}> Select
+                		</label>
+            		` : ''}
             		<div class="repo-header">
-                		<div class="repo-name">${repo.fullName}</div>
+                		<a href="#" class="repo-name" data-action="open-saved">${this.escapeHtml(repo.fullName)}</a>
+                		${repo.pinnedRef ? `<span class="ref-badge" title="Saved at this branch, tag or commit">🔖 ${this.escapeHtml(repo.pinnedRef)}</span>` : ''}
+                		${repo.linked ? `<span class="ref-badge" title="${this.escapeHtml(repo.sourcePath || '')}">🔗 Linked</span>` : ''}
                 		<div class="repo-stars">⭐ ${this.formatNumber(repo.stars)}</div>
             		</div>
-            		<p class="repo-description">${repo.description}</p>
+            		<p class="repo-description">${this.escapeHtml(repo.description)}</p>
+            		${repo.tags && repo.tags.length > 0 ? `
+                		<div class="repo-tags">${repo.tags.map(tag => `<span class="repo-tag">🏷️ ${this.escapeHtml(tag)}</span>`).join('')}</div>
+            		` : ''}
+            		${repo.notes ? `<p class="repo-notes">📝 ${this.escapeHtml(repo.notes)}</p>` : ''}
             		<div class="repo-meta">
                 		<div class="repo-language">
                     		${repo.language ? `
                         		<div class="language-dot" style="background-color: ${this.getLanguageColor(repo.language)};"></div>
-                        		${repo.language}
+                        		${this.escapeHtml(repo.language)}
                     		` : 'No language'}
                 		</div>
-                		<span>Saved ${this.formatDate(repo.savedAt)}</span>
+                		<span>${repo.syncedAt ? `Synced ${this.formatDate(repo.syncedAt)}` : `Saved ${this.formatDate(repo.savedAt)}`}</span>
+            		</div>
+            		${repo.updateAvailable ? '<div class="update-badge">⬆️ Update available</div>' : ''}
+            		${repo.status === 'partial' ? '<div class="update-badge partial">⏸️ Incomplete download</div>' : ''}
+            		<div class="card-actions">
+                		<button class="btn btn-secondary" data-action="open-saved">
+                    		👁️ View
+                		</button>
+                		<button class="btn btn-secondary" data-action="open-folder">
+                    		📁 Open Folder
+                		</button>
+                		${repo.status === 'partial' && repo.mode === 'archive' ? `
+                    		<button class="btn btn-primary" id="resume-${this.escapeHtml(repo.id)}" data-action="resume">
+                        		▶️ Resume
+                    		</button>
+                		` : repo.linked || repo.mode === 'local' ? '' : `
+                    		<button class="btn btn-secondary" id="update-${this.escapeHtml(repo.id)}" data-action="update">
+                        		🔄 Update
+                    		</button>
+                		`}
+                		<button class="btn btn-secondary" data-action="edit" title="Category, tags and notes">
+                    		🏷️ Edit
+                		</button>
+                		<button class="btn btn-secondary" data-action="export" title="Save as a .zip or .tar.gz bundle for another machine">
+                    		📦 Export
+                		</button>
             		</div>
-            		<button class="btn btn-primary save-btn" onclick="app.openRepoFolder('${repo.fullName}')">
-                		📁 Open Folder
-            		</button>
         		</div>
     		`;
 		}
     
+    // Card buttons carry a data-action instead of inline handlers, so nothing from
+    // GitHub or the library is ever interpolated into code
+    handleCardAction(e) {
+        const target = e.target.closest('[data-action]');
+        const card = target ? target.closest('.repo-card') : null;
+        if (!card) return;
+        e.preventDefault();
+        
+        const fullName = card.dataset.repo;
+        const id = card.dataset.id;
+        const actions = {
+            view: () => this.viewRepo(fullName),
+            save: () => {
+                const repo = this.searchResults.get(fullName);
+                if (repo) this.openSaveModal(repo.full_name, repo.clone_url, repo.description || '', repo.language || '', repo.stargazers_count);
+            },
+            browse: () => this.openRepoFolder(fullName),
+            'open-saved': () => this.showRepoViewer(id),
+            'open-folder': () => this.openSavedRepoFolder(id),
+            resume: () => this.resumeDownload(id),
+            update: () => this.updateSavedRepo(id),
+            edit: () => this.openRepoDetails(id),
+            export: () => this.exportRepos([id], null, target)
+        };
+        const action = actions[target.dataset.action];
+        if (action) action();
+    }
 
 		async viewRepo(fullName) {
     	try {
-        	if (this.repoStorage) {
-            	const exists = await this.repoStorage.checkRepoExists(fullName);
-            	if (exists) {
-                	await this.showRepoViewer(fullName);
+        	if (repospace) {
+            	const exists = await repospace.storage.checkRepoExists(fullName);
+            	// The folder can be there without a library entry (not rescanned yet, or saved at another ref)
+            	const saved = exists ? await repospace.storage.findSavedRepo(fullName) : null;
+            	if (saved) {
+                	await this.showRepoViewer(saved.id);
                 	return;
             	}
         	}
@@ -358,109 +990,1347 @@ class RepoSpaceApp {
     	}
 		}
 
-		async showRepoPreview(fullName) {
-    	try {
-        	const [owner, repo] = fullName.split('/');
-        
-        	this.elements.repoGrid.innerHTML = '<div style="text-align: center; padding: 40px;">📖 Loading preview...</div>';
-        
-        	const repoData = await this.githubAPI.getRepository(owner, repo);
-        	const readmeContent = await this.githubAPI.getFileContent(owner, repo, 'README.md').catch(() => 'No README found');
-        
-        	const description = (repoData.description || '').replace(/'/g, '&#39;').replace(/"/g, '&quot;');
-        
-        	const html = `
-            	<div style="padding: 20px;">
-                	<div class="preview-banner" style="background: var(--hover-color); padding: 15px; border-radius: 8px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: center;">
-                    	<div>
-                        	<strong>📖 Preview Mode</strong> - Save this repository for full offline access and file browsing
-                    	</div>
-                    	<button class="btn btn-primary" onclick="app.openSaveModal('${fullName}', '${repoData.clone_url}', '${description}', '${repoData.language || ''}', ${repoData.stargazers_count})">
-                        	💾 Save Repository
-                    	</button>
-                	</div>
-                
-                	<h2 style="color: var(--primary-color);">${fullName}</h2>
-                	<p style="opacity: 0.8; margin-bottom: 20px;">${repoData.description || 'No description'}</p>
-                
-                	<div style="display: flex; gap: 20px; margin-bottom: 20px;">
-                    	<span>⭐ ${this.formatNumber(repoData.stargazers_count)} stars</span>
-                    	<span>🍴 ${this.formatNumber(repoData.forks_count)} forks</span>
-                    	<span>📝 ${repoData.language || 'No language'}</span>
-                	</div>
-                
-                	<div style="background: var(--card-bg); padding: 20px; border-radius: 8px;">
-                    	<h3>README.md</h3>
-                    	<pre style="white-space: pre-wrap; font-family: monospace; background: var(--bg-color); padding: 15px; border-radius: 6px; overflow-x: auto;">${readmeContent}</pre>
-                	</div>
-                
-                	<div style="text-align: center; margin-top: 20px;">
-                    	<button class="btn btn-secondary" onclick="history.back()">← Back</button>
-                	</div>
-            	</div>
-        	`;
-        
-        	this.elements.repoGrid.innerHTML = html;
-    	} catch (error) {
-        	console.error('Error loading preview:', error);
-        	this.showError('Error loading preview: ' + error.message);
-    	}
-		}
+    async showRepoViewer(id, target = null) {
+        if (!repospace) {
+            this.showError('Storage system not available');
+            return;
+        }
 
-		showSavedRepos() {
-				console.log('📁 showSavedRepos() called');
-    
-    		if (!this.repoStorage) {
+        try {
+            const repo = await repospace.storage.findRepoById(id);
+            if (!repo) {
+                this.showError('Repository is not saved locally');
+                return;
+            }
+
+            this.elements.repoGrid.innerHTML = '<div style="text-align: center; padding: 40px;">📂 Loading files...</div>';
+
+            const tree = await repospace.storage.getRepoFileTree(repo.id);
+            this.viewerState = { repo: repo, activePath: null };
+            // Feeds the "not opened in N months" cleanup
+            await repospace.storage.markOpened(repo.id);
+
+            this.elements.repoGrid.innerHTML = `
+                <div class="repo-viewer">
+                    <div class="viewer-header">
+                        <div>
+                            <h2 style="color: var(--primary-color);">${this.escapeHtml(repo.fullName)}${repo.pinnedRef ? ` <span class="ref-badge">🔖 ${this.escapeHtml(repo.pinnedRef)}</span>` : ''}</h2>
+                            <small style="opacity: 0.7;">📂 ${this.escapeHtml(repo.category)} · Saved ${this.formatDate(repo.savedAt)}</small>
+                        </div>
+                        <div style="display: flex; gap: 10px;">
+                            <button class="btn btn-secondary" id="viewerBackBtn">← Back</button>
+                            <button class="btn btn-secondary" id="viewerInsightsBtn" title="Languages, contributors, releases and activity">📊 Insights</button>
+                            <button class="btn btn-secondary" id="viewerFolderBtn">📁 Open Folder</button>
+                        </div>
+                    </div>
+                    <div class="insights-panel" id="viewerInsights" style="display: none;"></div>
+                    <div class="viewer-body">
+                        <nav class="file-tree" id="fileTree">
+                            ${tree.length > 0 ? this.renderFileTree(tree) : '<p style="opacity: 0.6;">No files found on disk</p>'}
+                        </nav>
+                        <div class="file-pane" id="filePane">
+                            <div class="file-pane-empty">Select a file to view its contents</div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            document.getElementById('viewerBackBtn').addEventListener('click', () => this.showSavedRepos());
+            document.getElementById('viewerFolderBtn').addEventListener('click', () => this.openSavedRepoFolder(repo.id));
+            document.getElementById('viewerInsightsBtn').addEventListener('click', () => this.toggleSavedInsights(repo));
+
+            document.querySelectorAll('#fileTree .tree-dir > .tree-label').forEach(label => {
+                label.addEventListener('click', () => label.parentElement.classList.toggle('collapsed'));
+            });
+            document.querySelectorAll('#fileTree .tree-file').forEach(item => {
+                item.addEventListener('click', () => this.openViewerFile(item.dataset.path));
+            });
+            
+            if (target && target.path) {
+                this.revealInTree(target.path);
+                await this.openViewerFile(target.path, target.line);
+            } else {
+                const readmePath = await repospace.storage.findReadme(repo.id);
+                if (readmePath) await this.openViewerFile(readmePath);
+            }
+
+            console.log(`👁️ Viewing ${repo.fullName} from ${repo.localPath}`);
+        } catch (error) {
+            console.error('Error opening repo viewer:', error);
+            this.showError('Error opening repository: ' + error.message);
+        }
+    }
+
+    renderFileTree(nodes) {
+        return `
+            <ul>
+                ${nodes.map(node => node.type === 'dir' ? `
+                    <li class="tree-dir collapsed">
+                        <span class="tree-label">📁 ${this.escapeHtml(node.name)}</span>
+                        ${this.renderFileTree(node.children)}
+                    </li>
+                ` : `
+                    <li class="tree-file" data-path="${this.escapeHtml(node.path)}">📄 ${this.escapeHtml(node.name)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // Relative README links open in the viewer; #L12 anchors jump to that line
+    bindSavedReadme(container) {
+        const { repo } = this.viewerState;
+        this.readmeRenderer.bind(container, {
+            loadAsset: (relPath) => repospace.storage.readRepoAsset(repo.id, relPath),
+            openExternal: (url) => this.openExternalLink(url),
+            openPath: (relPath, hash) => {
+                const files = [...document.querySelectorAll('#fileTree .tree-file')].map(el => el.dataset.path);
+                const lineMatch = hash ? hash.match(/^L(\d+)/) : null;
+                // A folder link shows that folder's README, like GitHub does
+                const target = files.includes(relPath)
+                    ? relPath
+                    : files.find(file => file.startsWith(relPath ? `${relPath}/` : '') && /^readme(\.[a-z]+)?$/i.test(file.slice(relPath ? relPath.length + 1 : 0)));
+
+                if (!target) {
+                    this.showError(`${relPath || '/'} is not in this repository`);
+                    return;
+                }
+                this.revealInTree(target);
+                this.openViewerFile(target, lineMatch ? parseInt(lineMatch[1], 10) : null).then(() => {
+                    const heading = hash && !lineMatch ? document.getElementById(decodeURIComponent(hash).toLowerCase()) : null;
+                    if (heading) heading.scrollIntoView({ block: 'start' });
+                });
+            }
+        });
+    }
+
+    async openExternalLink(url) {
+        if (!repospace) return;
+        try {
+            await repospace.shell.openExternal(url);
+        } catch (error) {
+            console.error('Failed to open link:', error);
+        }
+    }
+
+    revealInTree(relPath) {
+        const item = [...document.querySelectorAll('#fileTree .tree-file')].find(el => el.dataset.path === relPath);
+        if (!item) return;
+        
+        let parent = item.parentElement;
+        while (parent && parent.id !== 'fileTree') {
+            if (parent.classList.contains('tree-dir')) parent.classList.remove('collapsed');
+            parent = parent.parentElement;
+        }
+        item.scrollIntoView({ block: 'center' });
+    }
+    
+    async openViewerFile(relPath, line = null, raw = false) {
+        if (!this.viewerState) return;
+
+        const filePane = document.getElementById('filePane');
+        if (!filePane) return;
+
+        try {
+            const file = await repospace.storage.readRepoFile(this.viewerState.repo.id, relPath);
+            this.viewerState.activePath = relPath;
+
+            document.querySelectorAll('#fileTree .tree-file').forEach(item => {
+                item.classList.toggle('active', item.dataset.path === relPath);
+            });
+
+            // Markdown opens rendered unless the source (or a specific line) was asked for
+            const rendered = !!this.readmeRenderer && ReadmeRenderer.isMarkdown(relPath) && !line && !raw && !file.tooLarge && !file.binary;
+
+            let body;
+            if (rendered) {
+                body = `<div class="markdown-body">${await this.readmeRenderer.render(file.content, relPath)}</div>`;
+            } else if (file.tooLarge) {
+                body = `<div class="file-pane-empty">File is too large to preview (${this.formatFileSize(file.size)})</div>`;
+            } else if (file.binary) {
+                body = `<div class="file-pane-empty">Binary file (${this.formatFileSize(file.size)}) - use Open Folder to view it</div>`;
+            } else {
+                const lineCount = file.content.split('\n').length;
+                const gutter = Array.from({ length: lineCount }, (_, i) => `<span id="L${i + 1}">${i + 1}</span>`).join('');
+                body = `
+                    <div class="code-view">
+                        <div class="line-numbers">${gutter}</div>
+                        <pre><code class="hljs">${await repospace.render.highlight(file.content, relPath)}</code></pre>
+                        ${line ? `<div class="line-band" style="top: calc(${line - 1} * var(--code-line-height) + 15px);"></div>` : ''}
+                    </div>
+                `;
+            }
+
+            filePane.innerHTML = `
+                <div class="file-pane-header">
+                    <span>${this.escapeHtml(relPath)}</span>
+                    <span>
+                        ${this.readmeRenderer && ReadmeRenderer.isMarkdown(relPath) && !file.tooLarge ? `
+                            <button class="btn btn-secondary" id="markdownToggleBtn">${rendered ? '📝 Source' : '📖 Rendered'}</button>
+                        ` : ''}
+                        <small>${this.formatFileSize(file.size)}</small>
+                    </span>
+                </div>
+                ${body}
+            `;
+            
+            const toggle = document.getElementById('markdownToggleBtn');
+            if (toggle) {
+                toggle.addEventListener('click', () => this.openViewerFile(relPath, null, rendered));
+            }
+            if (rendered) {
+                this.bindSavedReadme(filePane.querySelector('.markdown-body'));
+            }
+            
+            if (line) {
+                const marker = document.getElementById(`L${line}`);
+                if (marker) {
+                    marker.classList.add('highlighted');
+                    marker.scrollIntoView({ block: 'center' });
+                }
+            }
+        } catch (error) {
+            console.error('Error reading file:', error);
+            this.showError('Error reading file: ' + error.message);
+        }
+    }
+
+		async showRepoPreview(fullName, ref = null) {
+    	try {
+        	const [owner, repo] = fullName.split('/');
+        
+        	this.elements.repoGrid.innerHTML = '<div style="text-align: center; padding: 40px;">📖 Loading preview...</div>';
+        
+        	const repoData = await repospace.github.getRepository(owner, repo);
+        	const readme = await repospace.github.getReadme(owner, repo, ref).catch(() => null);
+        	const readmeHtml = readme && this.readmeRenderer ? await this.readmeRenderer.render(readme.content, readme.path) : null;
+        	const shownRef = ref || repoData.default_branch;
+        
+        	const html = `
+            	<div style="padding: 20px;">
+                	${repoData.offline ? this.createOfflineBadge(repoData.cachedAt) : ''}
+                	<div class="preview-banner" style="background: var(--hover-color); padding: 15px; border-radius: 8px; margin-bottom: 20px; display: flex; justify-content: space-between; align-items: center;">
+                    	<div>
+                        	<strong>📖 Preview Mode</strong> - Save this repository for full offline access and file browsing
+                    	</div>
+                    	<button class="btn btn-primary" id="previewSaveBtn">
+                        	💾 Save Repository
+                    	</button>
+                	</div>
+                
+                	<h2 style="color: var(--primary-color);">${this.escapeHtml(fullName)}</h2>
+                	<p style="opacity: 0.8; margin-bottom: 20px;">${this.escapeHtml(repoData.description || 'No description')}</p>
+                
+                	<div style="display: flex; gap: 20px; margin-bottom: 20px;">
+                    	<span>⭐ ${this.formatNumber(repoData.stargazers_count)} stars</span>
+                    	<span>🍴 ${this.formatNumber(repoData.forks_count)} forks</span>
+                    	<span>📝 ${this.escapeHtml(repoData.language || 'No language')}</span>
+                	</div>
+                
+                	<div class="insights-panel" id="previewInsights">
+                    	<p class="insights-empty">📊 Loading insights...</p>
+                	</div>
+                
+                	<div class="ref-picker">
+                    	<label for="previewRefInput">🔖 Branch, tag or commit</label>
+                    	<input type="text" class="search-input" id="previewRefInput" list="previewRefOptions" value="${this.escapeHtml(shownRef)}">
+                    	<datalist id="previewRefOptions"></datalist>
+                    	<button class="btn btn-secondary" id="previewRefBtn">Show</button>
+                	</div>
+                
+                	<div style="background: var(--card-bg); padding: 20px; border-radius: 8px;">
+                    	<h3>${readme ? this.escapeHtml(readme.path) : 'README'}</h3>
+                    	${readmeHtml
+                        	? `<div class="markdown-body" id="previewReadme">${readmeHtml}</div>`
+                        	: `<p style="opacity: 0.6;">No README found</p>`}
+                	</div>
+                
+                	<div style="text-align: center; margin-top: 20px;">
+                    	<button class="btn btn-secondary" id="previewBackBtn">← Back</button>
+                	</div>
+            	</div>
+        	`;
+        
+        	this.elements.repoGrid.innerHTML = html;
+        	
+        	document.getElementById('previewBackBtn').addEventListener('click', () => history.back());
+        	document.getElementById('previewSaveBtn').addEventListener('click', () => {
+            	this.openSaveModal(fullName, repoData.clone_url, repoData.description || '', repoData.language || '', repoData.stargazers_count, ref);
+        	});
+        	
+        	const refInput = document.getElementById('previewRefInput');
+        	const showRef = () => {
+            	const picked = refInput.value.trim();
+            	this.showRepoPreview(fullName, picked && picked !== repoData.default_branch ? picked : null);
+        	};
+        	document.getElementById('previewRefBtn').addEventListener('click', showRef);
+        	refInput.addEventListener('keypress', (e) => {
+            	if (e.key === 'Enter') showRef();
+        	});
+        	this.loadRefOptions(owner, repo, document.getElementById('previewRefOptions'));
+        	this.loadInsights(fullName, document.getElementById('previewInsights'));
+        	
+        	const readmeBody = document.getElementById('previewReadme');
+        	if (readmeBody) {
+            	// Previews have nothing on disk: images come from the API, file links go to GitHub
+            	this.readmeRenderer.bind(readmeBody, {
+                	loadAsset: (relPath) => repospace.github.getFileContent(owner, repo, relPath, ref),
+                	openPath: (relPath, hash) => this.openExternalLink(`${repoData.html_url}/blob/${encodeURIComponent(shownRef)}/${relPath}${hash ? `#${hash}` : ''}`),
+                	openExternal: (url) => this.openExternalLink(url)
+            	});
+        	}
+    	} catch (error) {
+        	console.error('Error loading preview:', error);
+        	this.showError('Error loading preview: ' + error.message);
+    	}
+		}
+
+    // Fill a preview's insights panel; it loads after the README so a slow stats call never holds up the page
+    async loadInsights(fullName, container) {
+        if (!container) return;
+        
+        try {
+            const insights = await repospace.github.getInsights(fullName);
+            this.showInsights(container, insights);
+        } catch (error) {
+            console.error('❌ Could not load insights:', error);
+            container.innerHTML = `<p class="insights-empty">📊 Insights unavailable: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    // Saved repos show the insights kept with them, so this works offline
+    async toggleSavedInsights(repo) {
+        const container = document.getElementById('viewerInsights');
+        if (!container) return;
+        if (container.style.display !== 'none') {
+            container.style.display = 'none';
+            return;
+        }
+        
+        container.style.display = '';
+        container.innerHTML = '<p class="insights-empty">📊 Loading insights...</p>';
+        try {
+            const insights = await repospace.storage.getInsights(repo.id);
+            this.showInsights(container, insights, () => this.refreshSavedInsights(repo, container));
+        } catch (error) {
+            console.error('❌ Could not read saved insights:', error);
+            container.innerHTML = `<p class="insights-empty">📊 ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    async refreshSavedInsights(repo, container) {
+        const button = container.querySelector('.insights-refresh-btn');
+        if (button) {
+            button.disabled = true;
+            button.textContent = '↻ Refreshing...';
+        }
+        try {
+            // Fetching through github.getInsights also updates the copy saved with the repo
+            this.showInsights(container, await repospace.github.getInsights(repo.fullName), () => this.refreshSavedInsights(repo, container));
+        } catch (error) {
+            console.error('❌ Could not refresh insights:', error);
+            this.showError('Could not refresh insights: ' + error.message);
+            if (button) {
+                button.disabled = false;
+                button.textContent = '↻ Refresh';
+            }
+        }
+    }
+    
+    // onRefresh adds a refresh button; links open in the system browser
+    showInsights(container, insights, onRefresh = null) {
+        if (!container.isConnected) return;
+        
+        container.innerHTML = `
+            ${onRefresh ? `
+                <div class="insights-header">
+                    <small>${insights ? `Fetched ${this.formatDate(insights.fetchedAt)}` : 'No insights saved with this repository yet'}</small>
+                    <button class="btn btn-secondary insights-refresh-btn">↻ Refresh</button>
+                </div>
+            ` : ''}
+            ${insights ? this.renderInsights(insights) : ''}
+        `;
+        
+        const refreshBtn = container.querySelector('.insights-refresh-btn');
+        if (refreshBtn) refreshBtn.addEventListener('click', onRefresh);
+        container.querySelectorAll('[data-url]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openExternalLink(link.dataset.url);
+            });
+        });
+    }
+    
+    renderInsights(insights) {
+        const count = (value) => value === null || value === undefined ? '?' : this.formatNumber(value);
+        const license = insights.license
+            ? (insights.license.spdxId && insights.license.spdxId !== 'NOASSERTION' ? insights.license.spdxId : insights.license.name)
+            : 'No license';
+        const activity = insights.activity || [];
+        const busiestWeek = Math.max(1, ...activity.map(week => week.total));
+        const yearTotal = activity.reduce((total, week) => total + week.total, 0);
+        
+        return `
+            ${insights.offline ? this.createOfflineBadge(insights.cachedAt) : ''}
+            <div class="insights-stats">
+                <span>🐛 ${count(insights.openIssues)} open issues</span>
+                <span>🔀 ${count(insights.openPullRequests)} open PRs</span>
+                <span>👀 ${count(insights.watchers)} watching</span>
+                <span>⚖️ ${this.escapeHtml(license)}</span>
+                ${insights.pushedAt ? `<span>🕒 Last push ${this.formatDate(insights.pushedAt)}</span>` : ''}
+                ${insights.archived ? '<span class="insights-archived">📦 Archived</span>' : ''}
+            </div>
+            ${insights.topics.length > 0 ? `
+                <div class="repo-tags">${insights.topics.map(topic => `<span class="repo-tag">${this.escapeHtml(topic)}</span>`).join('')}</div>
+            ` : ''}
+            <div class="insights-grid">
+                <section>
+                    <h4>Languages</h4>
+                    ${insights.languages && insights.languages.length > 0 ? `
+                        <div class="language-bar">
+                            ${insights.languages.map(language => `<span style="width: ${language.percent}%; background-color: ${this.getLanguageColor(language.name)};" title="${this.escapeHtml(language.name)} ${language.percent}%"></span>`).join('')}
+                        </div>
+                        <ul class="insights-list">
+                            ${insights.languages.slice(0, 8).map(language => `
+                                <li><span class="language-dot" style="background-color: ${this.getLanguageColor(language.name)};"></span>${this.escapeHtml(language.name)} <small>${language.percent}%</small></li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="insights-empty">No language data</p>'}
+                </section>
+                <section>
+                    <h4>Commit activity ${insights.activity ? `<small>${this.formatNumber(yearTotal)} commits in the last year</small>` : ''}</h4>
+                    ${insights.activity ? `
+                        <div class="activity-chart">
+                            ${activity.map(week => `<span style="height: ${Math.max(2, Math.round(week.total / busiestWeek * 100))}%;" title="Week of ${new Date(week.week).toLocaleDateString()}: ${week.total} commits"></span>`).join('')}
+                        </div>
+                    ` : `<p class="insights-empty">${insights.activityPending ? 'GitHub is still computing these statistics, try again in a minute' : 'No activity data'}</p>`}
+                </section>
+                <section>
+                    <h4>Top contributors</h4>
+                    ${insights.contributors && insights.contributors.length > 0 ? `
+                        <ul class="insights-list">
+                            ${insights.contributors.map(contributor => `
+                                <li>
+                                    <img class="contributor-avatar" src="${this.escapeHtml(contributor.avatarUrl)}" alt="">
+                                    <a href="#" data-url="${this.escapeHtml(contributor.htmlUrl)}">${this.escapeHtml(contributor.login)}</a>
+                                    <small>${this.formatNumber(contributor.contributions)} commits</small>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="insights-empty">No contributor data</p>'}
+                </section>
+                <section>
+                    <h4>Latest releases</h4>
+                    ${insights.releases && insights.releases.length > 0 ? `
+                        <ul class="insights-list">
+                            ${insights.releases.map(release => `
+                                <li>
+                                    <a href="#" data-url="${this.escapeHtml(release.htmlUrl)}">${this.escapeHtml(release.name)}</a>
+                                    ${release.prerelease ? '<span class="ref-badge">pre-release</span>' : ''}
+                                    ${release.publishedAt ? `<small>${this.formatDate(release.publishedAt)}</small>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="insights-empty">No releases</p>'}
+                </section>
+            </div>
+        `;
+    }
+    
+    async showMyGitHub(tab = null) {
+        if (!this.user) {
+            this.showError('Sign in with GitHub to see your repositories');
+            return;
+        }
+        
+        if (!this.myGitHub) {
+            this.myGitHub = { tab: 'mine', cache: {}, orgs: null, selection: new Map() };
+        }
+        const state = this.myGitHub;
+        if (tab) state.tab = tab;
+        
+        try {
+            if (!state.orgs) {
+                state.orgs = (await repospace.github.getUserOrganizations()).map(org => org.login);
+            }
+        } catch (error) {
+            // Orgs are optional; tokens without read:org just don't get the tabs
+            state.orgs = [];
+        }
+        
+        const tabs = [
+            { id: 'mine', label: '👤 My repos' },
+            { id: 'starred', label: '⭐ Starred' },
+            ...state.orgs.map(org => ({ id: `org:${org}`, label: `🏢 ${org}` }))
+        ];
+        
+        this.elements.repoGrid.innerHTML = `
+            <div class="my-github">
+                <div class="my-github-tabs">
+                    ${tabs.map(t => `
+                        <button class="btn ${t.id === state.tab ? 'btn-primary' : 'btn-secondary'}" data-tab="${this.escapeHtml(t.id)}">${this.escapeHtml(t.label)}</button>
+                    `).join('')}
+                    <button class="btn btn-secondary" id="myGitHubRefreshBtn" title="Reload this tab from GitHub">↻</button>
+                </div>
+                <div class="my-github-filters">
+                    <input type="text" class="search-input" id="myGitHubFilter" placeholder="Filter by name, description or topic...">
+                    <select id="myGitHubLanguage"><option value="">All languages</option></select>
+                    <label><input type="checkbox" id="myGitHubHideForks"> Hide forks</label>
+                    <label><input type="checkbox" id="myGitHubHideArchived"> Hide archived</label>
+                </div>
+                <div class="library-bulk-bar">
+                    <span id="myGitHubCount"></span>
+                    <button class="btn btn-secondary" id="myGitHubSelectAllBtn">Select shown</button>
+                    <button class="btn btn-secondary" id="myGitHubClearBtn">Clear</button>
+                    <input type="text" class="search-input" id="myGitHubCategory" list="libraryCategories" placeholder="Save into category...">
+                    <button class="btn btn-primary" id="myGitHubSaveBtn">📥 Save selected</button>
+                </div>
+                <div class="repo-grid" id="myGitHubList">
+                    <div style="text-align: center; padding: 40px;">📡 Loading repositories...</div>
+                </div>
+            </div>
+        `;
+        this.refreshLibraryDatalists();
+        
+        this.elements.repoGrid.querySelectorAll('[data-tab]').forEach(btn => {
+            btn.addEventListener('click', () => this.showMyGitHub(btn.dataset.tab));
+        });
+        document.getElementById('myGitHubRefreshBtn').addEventListener('click', () => {
+            delete state.cache[state.tab];
+            this.showMyGitHub();
+        });
+        ['myGitHubFilter', 'myGitHubLanguage', 'myGitHubHideForks', 'myGitHubHideArchived'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.renderMyGitHubList());
+        });
+        document.getElementById('myGitHubSelectAllBtn').addEventListener('click', () => {
+            this.getFilteredMyGitHubRepos().forEach(repo => state.selection.set(repo.full_name, repo));
+            this.renderMyGitHubList();
+        });
+        document.getElementById('myGitHubClearBtn').addEventListener('click', () => {
+            state.selection.clear();
+            this.renderMyGitHubList();
+        });
+        document.getElementById('myGitHubSaveBtn').addEventListener('click', () => this.saveSelectedMyGitHubRepos());
+        
+        const list = document.getElementById('myGitHubList');
+        try {
+            if (!state.cache[state.tab]) {
+                const onProgress = (count) => {
+                    list.innerHTML = `<div style="text-align: center; padding: 40px;">📡 Loaded ${count} repositories...</div>`;
+                };
+                if (state.tab === 'mine') {
+                    state.cache.mine = await repospace.github.getUserRepositories(onProgress);
+                } else if (state.tab === 'starred') {
+                    state.cache.starred = await repospace.github.getStarredRepositories(onProgress);
+                } else {
+                    state.cache[state.tab] = await repospace.github.getOrganizationRepositories(state.tab.slice(4), onProgress);
+                }
+            }
+            
+            const languages = [...new Set(state.cache[state.tab].map(repo => repo.language).filter(Boolean))].sort();
+            document.getElementById('myGitHubLanguage').innerHTML += languages
+                .map(language => `<option value="${this.escapeHtml(language)}">${this.escapeHtml(language)}</option>`).join('');
+            this.renderMyGitHubList();
+        } catch (error) {
+            console.error('❌ Failed to load repositories:', error);
+            list.innerHTML = `<div style="text-align: center; padding: 40px;">Could not load repositories: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+    
+    getFilteredMyGitHubRepos() {
+        const state = this.myGitHub;
+        const repos = (state && state.cache[state.tab]) || [];
+        const text = document.getElementById('myGitHubFilter').value.trim().toLowerCase();
+        const language = document.getElementById('myGitHubLanguage').value;
+        const hideForks = document.getElementById('myGitHubHideForks').checked;
+        const hideArchived = document.getElementById('myGitHubHideArchived').checked;
+        
+        return repos.filter(repo => {
+            if (language && repo.language !== language) return false;
+            if (hideForks && repo.fork) return false;
+            if (hideArchived && repo.archived) return false;
+            if (!text) return true;
+            return [repo.full_name, repo.description || '', ...(repo.topics || [])].some(value => value.toLowerCase().includes(text));
+        });
+    }
+    
+    renderMyGitHubList() {
+        const state = this.myGitHub;
+        const list = document.getElementById('myGitHubList');
+        if (!state || !list || !state.cache[state.tab]) return;
+        
+        const repos = this.getFilteredMyGitHubRepos();
+        document.getElementById('myGitHubCount').textContent =
+            `${repos.length} of ${state.cache[state.tab].length} shown · ${state.selection.size} selected`;
+        
+        if (repos.length === 0) {
+            list.innerHTML = '<div style="text-align: center; padding: 40px; opacity: 0.6;">No repositories match</div>';
+            return;
+        }
+        
+        list.innerHTML = repos.map(repo => `
+            <div class="repo-card ${state.selection.has(repo.full_name) ? 'selected' : ''}">
+                <label class="repo-select-label">
+                    <input type="checkbox" class="my-github-select" data-name="${this.escapeHtml(repo.full_name)}" ${state.selection.has(repo.full_name) ? 'checked' : ''}> Select
+                    ${repo.private ? '<span class="ref-badge">🔒 private</span>' : ''}
+                    ${repo.fork ? '<span class="ref-badge">🍴 fork</span>' : ''}
+                    ${repo.archived ? '<span class="ref-badge">📦 archived</span>' : ''}
+                </label>
+                <div class="repo-header">
+                    <a href="#" class="repo-name" data-view="${this.escapeHtml(repo.full_name)}">${this.escapeHtml(repo.full_name)}</a>
+                    <div class="repo-stars">⭐ ${this.formatNumber(repo.stargazers_count)}</div>
+                </div>
+                <p class="repo-description">${this.escapeHtml(repo.description || 'No description available')}</p>
+                <div class="repo-meta">
+                    <div class="repo-language">
+                        ${repo.language ? `
+                            <div class="language-dot" style="background-color: ${this.getLanguageColor(repo.language)};"></div>
+                            ${this.escapeHtml(repo.language)}
+                        ` : 'No language specified'}
+                    </div>
+                    <span>Updated ${this.formatDate(repo.updated_at)}</span>
+                </div>
+            </div>
+        `).join('');
+        
+        const byName = new Map(repos.map(repo => [repo.full_name, repo]));
+        list.querySelectorAll('.my-github-select').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    state.selection.set(checkbox.dataset.name, byName.get(checkbox.dataset.name));
+                } else {
+                    state.selection.delete(checkbox.dataset.name);
+                }
+                checkbox.closest('.repo-card').classList.toggle('selected', checkbox.checked);
+                document.getElementById('myGitHubCount').textContent =
+                    `${repos.length} of ${state.cache[state.tab].length} shown · ${state.selection.size} selected`;
+            });
+        });
+        list.querySelectorAll('[data-view]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.viewRepo(link.dataset.view);
+            });
+        });
+    }
+    
+    async saveSelectedMyGitHubRepos() {
+        const state = this.myGitHub;
+        const category = document.getElementById('myGitHubCategory').value.trim();
+        if (!state || state.selection.size === 0 || !category) {
+            this.showError('Select some repositories and a category to save them into');
+            return;
+        }
+        if (!repospace) {
+            this.showError('Download queue not available');
+            return;
+        }
+        
+        try {
+            await repospace.storage.validateCategoryName(category);
+            const repos = [...state.selection.values()].map(repo => ({
+                fullName: repo.full_name,
+                cloneUrl: repo.clone_url,
+                description: repo.description || '',
+                language: repo.language || '',
+                stars: repo.stargazers_count
+            }));
+            
+            const result = await repospace.queue.addMany(repos, category);
+            console.log(`📥 Queued ${result.queued.length} repos into ${category}, skipped ${result.skipped.length}`);
+            
+            state.selection.clear();
+            this.renderMyGitHubList();
+            this.toggleQueuePanel(true);
+            if (result.skipped.length > 0) {
+                this.showError(`Skipped ${result.skipped.length}: ${result.skipped.map(s => `${s.fullName} (${s.reason})`).join(', ')}`);
+            }
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+    
+    // Fill a <datalist> with the repo's branches and tags; typing a commit SHA still works
+    async loadRefOptions(owner, repo, datalist) {
+        if (!repospace || !datalist) return;
+        try {
+            const refs = await repospace.github.getRefs(owner, repo);
+            datalist.innerHTML = [
+                ...refs.branches.map(name => `<option value="${this.escapeHtml(name)}">🌿 branch</option>`),
+                ...refs.tags.map(name => `<option value="${this.escapeHtml(name)}">🏷️ tag</option>`)
+            ].join('');
+        } catch (error) {
+            console.warn('Could not load branches and tags:', error.message);
+        }
+    }
+
+		async showSavedRepos() {
+				console.log('📁 showSavedRepos() called');
+    
+    		if (!repospace) {
         		this.showError('Storage system not available');
         		return;
     		}
     
-    		const categories = this.repoStorage.getCategories();
-    		console.log('📂 Found categories:', categories);
+    		const categories = await repospace.storage.getCategories();
+    		console.log('📂 Found categories:', categories);
+    
+    		if (categories.length === 0) {
+        		this.elements.repoGrid.innerHTML = `
+            		<div style="text-align: center; padding: 40px; color: var(--text-color);">
+                		<div style="font-size: 3rem; margin-bottom: 20px;">📁</div>
+                		<h3>No saved repositories yet</h3>
+                		<p>Search and save some repositories to see them here!</p>
+                		<p style="margin-top: 15px;">Copied a <code>~/RepoSpace</code> folder from another machine?</p>
+                		<button class="btn btn-secondary rescan-btn" style="margin-top: 10px;">🔄 Rescan Library</button>
+                		<button class="btn btn-secondary import-bundle-btn" style="margin-top: 10px;">📥 Import Bundle</button>
+                		<button class="btn btn-secondary add-local-repo-btn" style="margin-top: 10px;">➕ Add Local Repo</button>
+            		</div>
+        		`;
+        		this.bindLibraryToolbar();
+        		return;
+    		}
+    
+    		let html = `
+        		<div class="library-toolbar">
+            		<button class="btn btn-secondary check-updates-btn" title="Compare every saved repo with upstream">⬆️ Check All for Updates</button>
+            		<button class="btn btn-secondary rescan-btn" title="Rebuild the library from the folders in ~/RepoSpace">🔄 Rescan Library</button>
+            		<button class="btn btn-secondary export-library-btn" title="Save the whole library as one .zip or .tar.gz bundle">📦 Export Library</button>
+            		<button class="btn btn-secondary import-bundle-btn" title="Add the repos from a bundle exported on another machine">📥 Import Bundle</button>
+            		<button class="btn btn-secondary add-local-repo-btn" title="Copy or link a git checkout or folder that is already on this disk">➕ Add Local Repo</button>
+            		<button class="btn ${this.manageMode ? 'btn-primary' : 'btn-secondary'} manage-library-btn" title="Select repos to move or delete, rename categories">⚙️ ${this.manageMode ? 'Done' : 'Manage'}</button>
+        		</div>
+        		${this.manageMode ? `
+            		<div class="library-bulk-bar">
+                		<span id="librarySelectionCount">${this.librarySelection.size} selected</span>
+                		<button class="btn btn-secondary" id="selectAllReposBtn">Select all</button>
+                		<button class="btn btn-secondary" id="clearSelectionBtn">Clear</button>
+                		<input type="text" class="search-input" id="bulkCategoryInput" list="libraryCategories" placeholder="Move to category...">
+                		<button class="btn btn-secondary" id="bulkMoveBtn">📦 Move</button>
+                		<button class="btn btn-secondary" id="bulkExportBtn">📤 Export</button>
+                		<button class="btn btn-secondary danger" id="bulkDeleteBtn">🗑️ Delete</button>
+            		</div>
+        		` : ''}
+    		`;
+    		for (const category of categories) {
+        		const repos = await repospace.storage.getReposByCategory(category);
+        		html += `
+            		<div style="margin-bottom: 30px;">
+                		<h3 style="color: var(--primary-color); margin-bottom: 15px;">
+                    		📂 ${this.escapeHtml(category)} (${repos.length})
+                    		${this.manageMode ? `<button class="btn btn-secondary rename-category-btn" data-category="${this.escapeHtml(category)}">✏️ Rename</button>` : ''}
+                    		<button class="btn btn-secondary export-category-btn" data-category="${this.escapeHtml(category)}" title="Save this category as one bundle">📦 Export</button>
+                		</h3>
+                		<div class="repo-grid">
+                    		${repos.map(repo => this.createSavedRepoCard(repo)).join('')}
+                		</div>
+            		</div>
+        		`;
+    		}
+    
+    		this.elements.repoGrid.innerHTML = html;
+    		this.bindLibraryToolbar();
+    		console.log(`📁 Showing ${categories.length} categories with saved repos`);
+
+
+		}
+    
+    bindLibraryToolbar() {
+        document.querySelectorAll('.rescan-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.rescanLibrary());
+        });
+        document.querySelectorAll('.check-updates-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.checkAllForUpdates(btn));
+        });
+        document.querySelectorAll('.manage-library-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleManageMode());
+        });
+        document.querySelectorAll('.rename-category-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.openCategoryModal(btn.dataset.category));
+        });
+        document.querySelectorAll('.export-category-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const repos = await repospace.storage.getReposByCategory(btn.dataset.category);
+                this.exportRepos(repos.map(repo => repo.id), btn.dataset.category, btn);
+            });
+        });
+        document.querySelectorAll('.export-library-btn').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const repos = await repospace.storage.getAllRepos();
+                this.exportRepos(repos.map(repo => repo.id), 'repospace-library', btn);
+            });
+        });
+        document.querySelectorAll('.import-bundle-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.importBundle(btn));
+        });
+        document.querySelectorAll('.add-local-repo-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.openLocalRepoModal());
+        });
+        document.querySelectorAll('.repo-select').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.librarySelection.add(checkbox.dataset.id);
+                } else {
+                    this.librarySelection.delete(checkbox.dataset.id);
+                }
+                checkbox.closest('.repo-card').classList.toggle('selected', checkbox.checked);
+                const count = document.getElementById('librarySelectionCount');
+                if (count) count.textContent = `${this.librarySelection.size} selected`;
+            });
+        });
+        
+        const bindings = {
+            selectAllReposBtn: async () => {
+                (await repospace.storage.getAllRepos()).forEach(repo => this.librarySelection.add(repo.id));
+                this.showSavedRepos();
+            },
+            clearSelectionBtn: () => {
+                this.librarySelection.clear();
+                this.showSavedRepos();
+            },
+            bulkMoveBtn: () => this.moveSelectedRepos(),
+            bulkExportBtn: () => this.exportRepos([...this.librarySelection], 'repospace-selection', document.getElementById('bulkExportBtn')),
+            bulkDeleteBtn: () => this.deleteSelectedRepos()
+        };
+        Object.entries(bindings).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) button.addEventListener('click', handler);
+        });
+        this.refreshLibraryDatalists();
+    }
+    
+    async showStorageDashboard() {
+        if (!repospace) {
+            this.showError('Storage system not available');
+            return;
+        }
+        
+        this.elements.repoGrid.innerHTML = '<div style="text-align: center; padding: 40px;">💽 Measuring disk usage...</div>';
+        const usage = await repospace.storage.getStorageUsage();
+        const format = (bytes) => this.formatFileSize(bytes);
+        const percent = (bytes) => usage.totalSize > 0 ? Math.max(1, Math.round(bytes / usage.totalSize * 100)) : 0;
+        const months = parseInt(localStorage.getItem('cleanup_months'), 10) || 6;
+        
+        this.elements.repoGrid.innerHTML = `
+            <div class="storage-dashboard">
+                <div class="storage-summary">
+                    <div>
+                        <h2 style="color: var(--primary-color);">💽 ${format(usage.totalSize)}</h2>
+                        <small style="opacity: 0.7;">${usage.repoCount} saved repos in <code>${this.escapeHtml(usage.basePath)}</code></small>
+                    </div>
+                    <button class="btn btn-secondary" id="storageBackBtn">← Back</button>
+                </div>
+                
+                <h3>By category</h3>
+                <div class="storage-bars">
+                    ${usage.categories.map(category => `
+                        <div class="storage-bar-row">
+                            <span>📂 ${this.escapeHtml(category.category)} <small>(${category.repoCount})</small></span>
+                            <div class="progress-bar"><div class="progress-fill" style="width: ${percent(category.size)}%;"></div></div>
+                            <span>${format(category.size)}</span>
+                        </div>
+                    `).join('')}
+                    ${usage.otherSize > 0 ? `
+                        <div class="storage-bar-row">
+                            <span>🗂️ Index &amp; other files</span>
+                            <div class="progress-bar"><div class="progress-fill" style="width: ${percent(usage.otherSize)}%;"></div></div>
+                            <span>${format(usage.otherSize)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                
+                <h3>By repository</h3>
+                <table class="storage-table">
+                    <thead>
+                        <tr><th>Repository</th><th>Category</th><th>Files</th><th>Size</th><th>Last synced</th><th>Last opened</th></tr>
+                    </thead>
+                    <tbody>
+                        ${usage.repos.map(repo => `
+                            <tr>
+                                <td>${this.escapeHtml(repo.fullName)}</td>
+                                <td>${this.escapeHtml(repo.category)}</td>
+                                <td>${this.formatNumber(repo.fileCount)}</td>
+                                <td>${format(repo.size)}</td>
+                                <td>${this.formatDate(repo.syncedAt || repo.savedAt)}</td>
+                                <td>${repo.lastOpenedAt ? this.formatDate(repo.lastOpenedAt) : 'Never'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                
+                <h3>Largest files</h3>
+                <ul class="storage-files">
+                    ${usage.largestFiles.map(file => `
+                        <li class="storage-file" data-id="${this.escapeHtml(file.repoId)}" data-path="${this.escapeHtml(file.path)}">
+                            <span>${this.escapeHtml(file.fullName)} / ${this.escapeHtml(file.path)}</span>
+                            <span>${format(file.size)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+                
+                <h3>Cleanup</h3>
+                <div class="storage-cleanup">
+                    <label for="cleanupMonths">Repos not opened in</label>
+                    <select id="cleanupMonths">
+                        ${[1, 3, 6, 12, 24].map(n => `<option value="${n}" ${n === months ? 'selected' : ''}>${n} ${n === 1 ? 'month' : 'months'}</option>`).join('')}
+                    </select>
+                    <span id="cleanupSummary"></span>
+                    <button class="btn btn-secondary danger" id="cleanupBtn">🗑️ Delete</button>
+                </div>
+            </div>
+        `;
+        
+        document.getElementById('storageBackBtn').addEventListener('click', () => this.showSavedRepos());
+        document.querySelectorAll('.storage-file').forEach(item => {
+            item.addEventListener('click', () => {
+                // .git internals can't be shown in the viewer
+                if (!item.dataset.path.startsWith('.git/')) {
+                    this.showRepoViewer(item.dataset.id, { path: item.dataset.path });
+                }
+            });
+        });
+        
+        const monthsSelect = document.getElementById('cleanupMonths');
+        const updateCleanupSummary = async () => {
+            const stale = await repospace.storage.getStaleRepos(parseInt(monthsSelect.value, 10));
+            const staleSize = stale.reduce((total, repo) => {
+                const entry = usage.repos.find(r => r.id === repo.id);
+                return total + (entry ? entry.size : 0);
+            }, 0);
+            document.getElementById('cleanupSummary').textContent = `${stale.length} repos, ${format(staleSize)}`;
+            document.getElementById('cleanupBtn').disabled = stale.length === 0;
+        };
+        monthsSelect.addEventListener('change', () => {
+            localStorage.setItem('cleanup_months', monthsSelect.value);
+            updateCleanupSummary();
+        });
+        document.getElementById('cleanupBtn').addEventListener('click', () => this.cleanupStaleRepos(parseInt(monthsSelect.value, 10)));
+        updateCleanupSummary();
+    }
+    
+    async cleanupStaleRepos(months) {
+        // Main leaves out repos that are still downloading
+        const stale = await repospace.storage.getStaleRepos(months);
+        if (stale.length === 0) return;
+        
+        const names = stale.slice(0, 10).map(repo => `• ${repo.fullName}`).join('\n');
+        const more = stale.length > 10 ? `\n...and ${stale.length - 10} more` : '';
+        if (!confirm(`Delete ${stale.length} repos not opened in ${months} months?\n\n${names}${more}`)) {
+            return;
+        }
+        
+        for (const repo of stale) {
+            try {
+                await repospace.storage.removeRepo(repo.id);
+            } catch (error) {
+                console.error(`❌ Cleanup failed for ${repo.fullName}:`, error);
+            }
+        }
+        console.log(`🧹 Removed ${stale.length} stale repos`);
+        this.showStorageDashboard();
+    }
+    
+    toggleManageMode() {
+        this.manageMode = !this.manageMode;
+        this.librarySelection.clear();
+        this.showSavedRepos();
+    }
+    
+    async refreshLibraryDatalists() {
+        const fill = (id, values) => {
+            const list = document.getElementById(id);
+            if (list) list.innerHTML = values.map(value => `<option value="${this.escapeHtml(value)}">`).join('');
+        };
+        fill('libraryCategories', await repospace.storage.getCategories());
+        fill('libraryTags', await repospace.storage.getAllTags());
+    }
+    
+    async openRepoDetails(id) {
+        const repo = repospace ? await repospace.storage.findRepoById(id) : null;
+        if (!repo || !this.elements.repoDetailsModal) return;
+        
+        this.editingRepoId = id;
+        this.refreshLibraryDatalists();
+        document.getElementById('repoDetailsName').textContent = repo.fullName;
+        document.getElementById('repoDetailsCategory').value = repo.category;
+        document.getElementById('repoDetailsTags').value = (repo.tags || []).join(', ');
+        document.getElementById('repoDetailsNotes').value = repo.notes || '';
+        this.elements.repoDetailsModal.style.display = 'block';
+    }
+    
+    closeRepoDetails() {
+        if (this.elements.repoDetailsModal) {
+            this.elements.repoDetailsModal.style.display = 'none';
+        }
+        this.editingRepoId = null;
+    }
+    
+    async saveRepoDetails() {
+        const repo = this.editingRepoId ? await repospace.storage.findRepoById(this.editingRepoId) : null;
+        if (!repo) return;
+        
+        try {
+            await repospace.storage.setRepoDetails(repo.id, {
+                tags: document.getElementById('repoDetailsTags').value.split(','),
+                notes: document.getElementById('repoDetailsNotes').value
+            });
+            
+            const category = document.getElementById('repoDetailsCategory').value.trim();
+            if (category && category !== repo.category) {
+                await repospace.storage.moveRepo(repo.id, category);
+            }
+            
+            this.closeRepoDetails();
+            this.showSavedRepos();
+        } catch (error) {
+            console.error('❌ Failed to save repo details:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    openCategoryModal(category) {
+        if (!this.elements.categoryModal) return;
+        
+        this.renamingCategory = category;
+        this.refreshLibraryDatalists();
+        document.getElementById('categoryModalName').textContent = category;
+        document.getElementById('categoryNameInput').value = category;
+        this.elements.categoryModal.style.display = 'block';
+    }
+    
+    closeCategoryModal() {
+        if (this.elements.categoryModal) {
+            this.elements.categoryModal.style.display = 'none';
+        }
+        this.renamingCategory = null;
+    }
+    
+    // Ask main for a folder first; the dialog only opens once something was picked
+    async openLocalRepoModal() {
+        if (!repospace || !this.elements.localRepoModal) return;
+        
+        try {
+            const info = await repospace.storage.pickLocalFolder();
+            if (!info) return;
+            
+            const rows = [`📁 ${this.escapeHtml(info.sourceDir)}`];
+            if (info.isGit) {
+                rows.push(info.remoteUrl ? `🌐 ${this.escapeHtml(info.remoteUrl)}` : '🌐 No remote named origin');
+                rows.push(`🌿 ${info.branch ? this.escapeHtml(info.branch) : 'Detached HEAD'}${info.commitSha ? ` @ <code>${this.escapeHtml(info.commitSha.slice(0, 7))}</code>` : ''}`);
+            } else {
+                rows.push('📄 Plain folder (not a git checkout)');
+            }
+            document.getElementById('localRepoInfo').innerHTML = rows.map(row => `<div>${row}</div>`).join('');
+            document.getElementById('localRepoName').value = info.fullName;
+            this.refreshLibraryDatalists();
+            this.elements.localRepoModal.style.display = 'block';
+        } catch (error) {
+            console.error('❌ Could not read folder:', error);
+            this.showError(error.message);
+        }
+    }
+    
+    closeLocalRepoModal() {
+        if (this.elements.localRepoModal) {
+            this.elements.localRepoModal.style.display = 'none';
+        }
+    }
     
-    		if (categories.length === 0) {
-        		this.elements.repoGrid.innerHTML = `
-            		<div style="text-align: center; padding: 40px; color: var(--text-color);">
-                		<div style="font-size: 3rem; margin-bottom: 20px;">📁</div>
-                		<h3>No saved repositories yet</h3>
-                		<p>Search and save some repositories to see them here!</p>
-            		</div>
-        		`;
-        		return;
-    		}
+    async addLocalRepo() {
+        const fullName = document.getElementById('localRepoName').value.trim();
+        const category = document.getElementById('localRepoCategory').value.trim() || 'uncategorized';
+        const link = document.querySelector('input[name="localRepoMode"]:checked').value === 'link';
+        const button = document.getElementById('addLocalRepoBtn');
+        
+        button.disabled = true;
+        button.textContent = link ? '🔗 Linking...' : '📋 Copying...';
+        try {
+            const repo = await repospace.storage.addLocalRepo(category, { fullName: fullName, link: link });
+            this.closeLocalRepoModal();
+            await this.showSavedRepos();
+            console.log(`➕ Added ${repo.fullName} to "${repo.category}"`);
+        } catch (error) {
+            console.error('❌ Failed to add local repo:', error);
+            this.showError(error.message);
+        } finally {
+            button.disabled = false;
+            button.textContent = '➕ Add to Library';
+        }
+    }
     
-    		let html = '';
-    		categories.forEach(category => {
-        		const repos = this.repoStorage.getReposByCategory(category);
-        		html += `
-            		<div style="margin-bottom: 30px;">
-                		<h3 style="color: var(--primary-color); margin-bottom: 15px;">📂 ${category} (${repos.length})</h3>
-                		<div class="repo-grid">
-                    		${repos.map(repo => this.createSavedRepoCard(repo)).join('')}
-                		</div>
-            		</div>
-        		`;
-    		});
+    async renameCategory() {
+        const oldName = this.renamingCategory;
+        const newName = document.getElementById('categoryNameInput').value.trim();
+        if (!oldName || !newName || newName === oldName) {
+            this.closeCategoryModal();
+            return;
+        }
+        
+        const merging = (await repospace.storage.getCategories()).includes(newName);
+        if (merging && !confirm(`Merge "${oldName}" into the existing "${newName}" category?`)) {
+            return;
+        }
+        
+        try {
+            // Main refuses while any repo in the category is still downloading
+            const result = await repospace.storage.renameCategory(oldName, newName);
+            this.closeCategoryModal();
+            this.showSavedRepos();
+            if (result.conflicts.length > 0) {
+                this.showError(`Already in "${newName}", left in "${oldName}": ${result.conflicts.map(repo => repo.fullName).join(', ')}`);
+            }
+        } catch (error) {
+            console.error('❌ Failed to rename category:', error);
+            this.showError(error.message);
+        }
+    }
     
-    		this.elements.repoGrid.innerHTML = html;
-    		console.log(`📁 Showing ${categories.length} categories with saved repos`);
-
-
-		}
+    async getSelectedRepos() {
+        const repos = await Promise.all([...this.librarySelection].map(id => repospace.storage.findRepoById(id)));
+        return repos.filter(Boolean);
+    }
+    
+    async moveSelectedRepos() {
+        const repos = await this.getSelectedRepos();
+        const input = document.getElementById('bulkCategoryInput');
+        const category = input ? input.value.trim() : '';
+        if (repos.length === 0 || !category) {
+            this.showError('Select some repositories and a category to move them to');
+            return;
+        }
+        
+        const failed = [];
+        for (const repo of repos) {
+            try {
+                await repospace.storage.moveRepo(repo.id, category);
+                this.librarySelection.delete(repo.id);
+            } catch (error) {
+                failed.push(`${repo.fullName} (${error.message})`);
+            }
+        }
+        
+        this.showSavedRepos();
+        if (failed.length > 0) {
+            this.showError(`Could not move: ${failed.join(', ')}`);
+        }
+    }
+    
+    async deleteSelectedRepos() {
+        const repos = await this.getSelectedRepos();
+        if (repos.length === 0) return;
+        if (!confirm(`Delete ${repos.length} saved ${repos.length === 1 ? 'repository' : 'repositories'} and their files from disk?`)) {
+            return;
+        }
+        
+        const failed = [];
+        for (const repo of repos) {
+            try {
+                await repospace.storage.removeRepo(repo.id);
+                this.librarySelection.delete(repo.id);
+            } catch (error) {
+                failed.push(`${repo.fullName} (${error.message})`);
+            }
+        }
+        
+        this.showSavedRepos();
+        if (failed.length > 0) {
+            this.showError(`Could not delete: ${failed.join(', ')}`);
+        }
+    }
+    
+    async updateSavedRepo(id) {
+        const repo = repospace ? await repospace.storage.findRepoById(id) : null;
+        if (!repo) {
+            this.showError('Repository not found in library');
+            return;
+        }
+        
+        const button = document.getElementById(`update-${id}`);
+        try {
+            if (button) {
+                button.disabled = true;
+                button.textContent = '🔄 Updating...';
+            }
+            
+            const result = await repospace.updater.updateRepo(repo.id, (progress) => {
+                if (button) button.textContent = `🔄 ${progress.current}/${progress.total}`;
+            });
+            
+            this.showSavedRepos();
+            if (result.upToDate) {
+                this.showSuccess(`✅ ${repo.fullName} is already up to date`);
+            } else {
+                this.showSuccess(`✅ Updated ${repo.fullName}: ${result.changed} files changed, ${result.removed} removed`);
+            }
+        } catch (error) {
+            console.error('❌ Update failed:', error);
+            this.showError(`Failed to update ${repo.fullName}: ${error.message}`);
+            if (button) {
+                button.disabled = false;
+                button.textContent = '🔄 Update';
+            }
+        }
+    }
+    
+    async checkAllForUpdates(button) {
+        if (!repospace) {
+            this.showError('Storage system not available');
+            return;
+        }
+        
+        try {
+            button.disabled = true;
+            const results = await repospace.updater.checkAll((progress) => {
+                button.textContent = `⬆️ Checking ${progress.current}/${progress.total}...`;
+            });
+            
+            this.showSavedRepos();
+            const outdated = results.filter(r => r.updateAvailable).length;
+            const failed = results.filter(r => r.error).length;
+            this.showSuccess(`⬆️ ${outdated} of ${results.length} repositories have updates` + (failed ? ` (${failed} could not be checked)` : ''));
+        } catch (error) {
+            console.error('❌ Update check failed:', error);
+            this.showError('Update check failed: ' + error.message);
+            button.disabled = false;
+            button.textContent = '⬆️ Check All for Updates';
+        }
+    }
+    
+    async rescanLibrary() {
+        if (!repospace) {
+            this.showError('Storage system not available');
+            return;
+        }
+        
+        try {
+            this.elements.repoGrid.innerHTML = '<div style="text-align: center; padding: 40px;">🔄 Scanning ~/RepoSpace...</div>';
+            
+            const report = await repospace.storage.rescanLibrary();
+            
+            await this.showSavedRepos();
+            this.showRescanReport(report);
+        } catch (error) {
+            console.error('❌ Rescan failed:', error);
+            this.showError('Rescan failed: ' + error.message);
+        }
+    }
+    
+    // Export library entries as one bundle; main asks where to save it.
+    // A single repo is named after its folder unless a name is given.
+    async exportRepos(ids, name, button = null) {
+        if (!repospace || ids.length === 0) return;
+        
+        const label = button ? button.innerHTML : '';
+        if (button) button.disabled = true;
+        
+        try {
+            if (!name) {
+                const repo = await repospace.storage.findRepoById(ids[0]);
+                name = repo.fullName.replace('/', '-') + (repo.pinnedRef ? `@${repo.pinnedRef}` : '');
+            }
+            const result = await repospace.bundles.export(ids, name, (progress) => {
+                if (button) button.textContent = `📦 ${progress.fileCount} files...`;
+            });
+            if (result) {
+                this.showSuccess(`Exported ${result.repoCount} repos (${result.fileCount} files, ${this.formatFileSize(result.size)}) to ${result.path}`);
+            }
+        } catch (error) {
+            console.error('❌ Export failed:', error);
+            this.showError('Export failed: ' + error.message);
+        } finally {
+            if (button) {
+                button.disabled = false;
+                button.innerHTML = label;
+            }
+        }
+    }
+    
+    async importBundle(button = null) {
+        if (!repospace) {
+            this.showError('Storage system not available');
+            return;
+        }
+        
+        const label = button ? button.innerHTML : '';
+        if (button) button.disabled = true;
+        
+        try {
+            const result = await repospace.bundles.import((progress) => {
+                if (!button) return;
+                button.textContent = progress.stage === 'extracting'
+                    ? `📥 Unpacking ${progress.fileCount} files...`
+                    : '📥 Adding to library...';
+            });
+            if (!result) return;
+            
+            await this.showSavedRepos();
+            const skipped = result.skipped.map(item => `\n• ${item.fullName}: ${item.reason}`).join('');
+            this.showSuccess(`Imported ${result.imported.length} repos` + (skipped ? `\n\nSkipped ${result.skipped.length}:${skipped}` : ''));
+        } catch (error) {
+            console.error('❌ Import failed:', error);
+            this.showError('Import failed: ' + error.message);
+        } finally {
+            if (button && button.isConnected) {
+                button.disabled = false;
+                button.innerHTML = label;
+            }
+        }
+    }
+    
+    showRescanReport(report) {
+        const listItems = (items) => items.map(item => `<li><code>${this.escapeHtml(item)}</code></li>`).join('');
+        
+        const panel = document.createElement('div');
+        panel.className = 'rescan-report';
+        panel.innerHTML = `
+            <strong>🔄 Rescan complete:</strong>
+            ${report.added.length} added, ${report.updated.length} already indexed
+            ${report.orphanedFolders.length > 0 ? `
+                <details>
+                    <summary>⚠️ ${report.orphanedFolders.length} folders have no .repospace-meta.json</summary>
+                    <ul>${listItems(report.orphanedFolders)}</ul>
+                </details>
+            ` : ''}
+            ${report.missingEntries.length > 0 ? `
+                <details>
+                    <summary>⚠️ ${report.missingEntries.length} library entries point to missing folders</summary>
+                    <ul>${listItems(report.missingEntries.map(r => `${r.fullName} → ${r.localPath}`))}</ul>
+                    <button class="btn btn-secondary" id="removeMissingBtn">🗑️ Remove these entries</button>
+                </details>
+            ` : ''}
+        `;
+        this.elements.repoGrid.prepend(panel);
+        
+        const removeBtn = document.getElementById('removeMissingBtn');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', async () => {
+                await repospace.storage.removeRepoEntries(report.missingEntries.map(r => r.id));
+                this.showSavedRepos();
+            });
+        }
+    }
     
-    openSaveModal(fullName, cloneUrl, description = '', language = '', stars = 0) {
+    openSaveModal(fullName, cloneUrl, description = '', language = '', stars = 0, ref = null) {
         this.currentRepo = {
             fullName: fullName,
             cloneUrl: cloneUrl,
             description: description,
             language: language,
-            stars: stars
+            stars: stars,
+            ref: ref
         };
         
+        if (this.elements.saveRefInput) {
+            this.elements.saveRefInput.value = ref || '';
+            const [owner, name] = fullName.split('/');
+            this.loadRefOptions(owner, name, document.getElementById('saveRefOptions'));
+        }
+        
         if (this.elements.repoName) {
             this.elements.repoName.textContent = fullName;
         }
         
+        this.updateSaveModeOptions();
+        
         if (this.elements.saveModal) {
             this.elements.saveModal.style.display = 'block';
         }
@@ -470,10 +2340,10 @@ class RepoSpaceApp {
         console.log('💾 Opening save modal for:', fullName);
     }
     
-    loadExistingCategories() {
-        if (!this.repoStorage) return;
+    async loadExistingCategories() {
+        if (!repospace) return;
         
-        const categories = this.repoStorage.getCategories();
+        const categories = await repospace.storage.getCategories();
         const categoryGrid = document.querySelector('.category-grid');
         
         if (!categoryGrid) return;
@@ -491,6 +2361,60 @@ class RepoSpaceApp {
         });
     }
     
+    getSaveMode() {
+        const checked = document.querySelector('input[name="saveMode"]:checked');
+        return checked ? checked.value : 'archive';
+    }
+    
+    updateSaveModeOptions() {
+        if (this.elements.cloneOptions) {
+            this.elements.cloneOptions.style.display = this.getSaveMode() === 'clone' ? 'block' : 'none';
+        }
+        // A clone always has the whole repository, so filters only apply to archive saves
+        if (this.elements.saveFilter) {
+            this.elements.saveFilter.style.display = this.getSaveMode() === 'clone' ? 'none' : 'block';
+        }
+    }
+    
+    // A plain { include, exclude, maxFileSize } object; main turns it into a FileFilter
+    getSaveFilter() {
+        // "src/**, docs\n*.md" -> ['src/**', 'docs', '*.md'], as FileFilter.parsePatterns does
+        const patterns = (id) => document.getElementById(id).value.split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+        const maxMegabytes = parseFloat(document.getElementById('maxFileSizeInput').value);
+        const filter = {
+            include: patterns('includePatterns'),
+            exclude: patterns('excludePatterns'),
+            maxFileSize: maxMegabytes > 0 ? Math.round(maxMegabytes * 1024 * 1024) : null
+        };
+        return filter.include.length === 0 && filter.exclude.length === 0 && !filter.maxFileSize ? null : filter;
+    }
+    
+    // Show what the filter keeps, straight from the git tree, before anything is downloaded
+    async previewSaveFilter() {
+        if (!this.currentRepo || !repospace || !this.elements.filterPreview) return;
+        
+        const preview = this.elements.filterPreview;
+        const format = (bytes) => this.formatFileSize(bytes);
+        preview.innerHTML = '<small>🔍 Loading file list...</small>';
+        
+        try {
+            const result = await repospace.github.previewFilter(this.currentRepo.fullName, this.currentRepo.ref, this.getSaveFilter());
+            
+            preview.innerHTML = `
+                <p><strong>${result.keptCount}</strong> of ${result.totalCount} files · <strong>${format(result.keptSize)}</strong> of ${format(result.totalSize)}</p>
+                <ul class="filter-preview-list">
+                    ${result.files.map(file => `
+                        <li><span>${this.escapeHtml(file.path)}</span><small>${format(file.size)}</small></li>
+                    `).join('')}
+                </ul>
+                ${result.keptCount > result.files.length ? `<small>...and ${result.keptCount - result.files.length} more</small>` : ''}
+            `;
+        } catch (error) {
+            console.error('❌ Failed to preview files:', error);
+            preview.innerHTML = `<small>Could not load the file list: ${this.escapeHtml(error.message)}</small>`;
+        }
+    }
+    
     selectCategory(btn) {
         document.querySelectorAll('.category-btn').forEach(b => b.classList.remove('selected'));
         
@@ -513,22 +2437,32 @@ class RepoSpaceApp {
             return;
         }
         
-        if (!this.repoStorage) {
+        if (!repospace) {
             this.showError('Storage system not available');
             return;
         }
         
+        const mode = this.getSaveMode();
+        
         try {
-            console.log(`💾 Saving ${this.currentRepo.fullName} to category: ${category}`);
+            console.log(`💾 Saving ${this.currentRepo.fullName} to category: ${category} (${mode})`);
             
-            const saved = this.repoStorage.saveRepoMetadata(this.currentRepo, category);
+            this.currentRepo.mode = mode;
+            const { saved, repo } = await repospace.storage.saveRepoMetadata(this.currentRepo, category);
             
-            if (!saved) {
-                this.showError(`Repository already exists in "${category}" category`);
+            // An interrupted archive download can be picked up where it stopped
+            const resumable = repo.status === 'partial' && repo.mode === 'archive';
+            if (!saved && !resumable) {
+                const at = this.currentRepo.ref ? ` at ${this.currentRepo.ref}` : '';
+                this.showError(`Repository${at} already exists in "${category}" category`);
                 return;
             }
             
-            await this.downloadRepositoryFiles(this.currentRepo);
+            if (mode === 'clone') {
+                await this.cloneRepository(repo);
+            } else {
+                await this.downloadRepositoryFiles(repo, this.currentRepo.ref || null, this.getSaveFilter());
+            }
             
             this.showSuccess(`✅ Repository saved to "${category}" category!`);
             
@@ -536,40 +2470,252 @@ class RepoSpaceApp {
             
         } catch (error) {
             console.error('❌ Failed to save repository:', error);
-            this.showError('Failed to save repository: ' + error.message);
+            if (mode === 'clone') {
+                // Main drops an unfinished clone's library entry, so there is nothing to resume
+                this.showError(error.name === 'AbortError' ? 'Clone cancelled.' : 'Failed to clone repository: ' + error.message);
+            } else if (error.name === 'AbortError') {
+                this.showError('Download cancelled. Save it again or use ▶️ Resume in Browse Saved to continue.');
+            } else {
+                this.showError('Failed to save repository: ' + error.message + '. Use ▶️ Resume in Browse Saved to continue.');
+            }
         }
     }
     
-    async downloadRepositoryFiles(repoData) {
-        if (!this.githubAPI || !this.repoStorage) {
-            throw new Error('Required services not available');
-        }
-        
+    async downloadRepositoryFiles(repo, ref = null, filter = null) {
         try {
-            const [owner, repo] = repoData.fullName.split('/');
+            console.log(`📥 Downloading ${repo.fullName}...`);
+            this.activeDownloadId = repo.id;
+            this.updateSaveProgress({ filesDone: 0, filesTotal: 0, bytesDone: 0, bytesTotal: 0, currentFile: 'Resolving ref...' });
+            
+            const savedPath = await repospace.downloads.download(repo.id, { ref: ref, filter: filter }, (progress) => this.updateSaveProgress(progress));
             
-            console.log(`📥 Downloading files from ${repoData.fullName}...`);
+            console.log(`✅ Successfully downloaded ${repo.fullName} to: ${savedPath}`);
+            
+        } catch (error) {
+            console.error('❌ Failed to download repository files:', error);
+            throw error;
+        } finally {
+            this.activeDownloadId = null;
+            this.updateSaveProgress(null);
+        }
+    }
+    
+    async cloneRepository(repo) {
+        try {
+            const shallow = this.elements.shallowClone ? this.elements.shallowClone.checked : true;
             
-            const files = await this.githubAPI.getAllRepositoryFiles(owner, repo);
+            console.log(`🌿 Cloning ${repo.fullName} (${shallow ? 'shallow' : 'full history'})...`);
+            this.activeDownloadId = repo.id;
+            this.updateSaveProgress({ phase: 'Cloning', percent: 0 });
             
-						const savedPath = await this.repoStorage.saveRepositoryFiles(repoData.fullName, files, category);
+            const savedPath = await repospace.downloads.clone(repo.id, {
+                shallow: shallow,
+                ref: this.currentRepo && this.currentRepo.ref || null
+            }, (progress) => this.updateSaveProgress(progress));
             
-            console.log(`✅ Successfully downloaded ${files.length} files to: ${savedPath}`);
+            console.log(`✅ Successfully cloned ${repo.fullName} to: ${savedPath}`);
             
         } catch (error) {
-            console.error('❌ Failed to download repository files:', error);
+            console.error('❌ Failed to clone repository:', error);
             throw error;
+        } finally {
+            this.activeDownloadId = null;
+            this.updateSaveProgress(null);
+        }
+    }
+    
+    async queueRepository() {
+        const category = this.elements.customCategory ? this.elements.customCategory.value.trim() : '';
+        
+        if (!category) {
+            this.showError('Please select or enter a category');
+            return;
+        }
+        
+        if (!this.currentRepo || !repospace) {
+            this.showError('No repository selected');
+            return;
+        }
+        
+        const mode = this.getSaveMode();
+        try {
+            await repospace.queue.add(this.currentRepo, category, {
+                mode: mode,
+                shallow: this.elements.shallowClone ? this.elements.shallowClone.checked : true,
+                ref: this.currentRepo.ref || null,
+                filter: mode === 'archive' ? this.getSaveFilter() : null
+            });
+            console.log(`📥 Queued ${this.currentRepo.fullName} into ${category}`);
+            this.closeSaveModal();
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+    
+    toggleQueuePanel(show) {
+        if (!this.elements.queuePanel) return;
+        const visible = show === undefined ? !this.elements.queuePanel.classList.contains('open') : show;
+        this.elements.queuePanel.classList.toggle('open', visible);
+        if (visible) {
+            this.renderQueue();
+        }
+    }
+    
+    // Progress events arrive per chunk, so batch re-renders to one per frame
+    scheduleQueueRender() {
+        if (this.queueRenderPending) return;
+        this.queueRenderPending = true;
+        requestAnimationFrame(() => {
+            this.queueRenderPending = false;
+            this.renderQueue();
+        });
+    }
+    
+    renderQueue() {
+        const queue = this.queueState;
+        if (!queue) return;
+        
+        const counts = queue.counts;
+        const waiting = counts.pending + counts.active;
+        
+        if (this.elements.queueCount) {
+            this.elements.queueCount.textContent = waiting > 0 ? `(${waiting})` : '';
+        }
+        if (this.elements.queueStatus) {
+            this.elements.queueStatus.textContent = queue.pausedUntil
+                ? `⏸️ Paused by GitHub rate limit until ${new Date(queue.pausedUntil).toLocaleTimeString()}`
+                : `${counts.active} active · ${counts.pending} pending · ${counts.failed} failed · ${counts.done} done`;
+        }
+        if (!this.elements.queueList || !this.elements.queuePanel.classList.contains('open')) return;
+        
+        if (queue.items.length === 0) {
+            this.elements.queueList.innerHTML = '<li class="queue-empty">Nothing queued. Use 📥 Add to Queue in the save dialog.</li>';
+            return;
+        }
+        
+        const icons = { pending: '⏳', active: '⬇️', failed: '❌', done: '✅', cancelled: '⏹' };
+        this.elements.queueList.innerHTML = queue.items.map(item => `
+            <li class="queue-item ${item.status}">
+                <div class="queue-item-title">
+                    <span>${icons[item.status]} ${this.escapeHtml(item.fullName)}${item.ref ? ` @ ${this.escapeHtml(item.ref)}` : ''}</span>
+                    <small>📂 ${this.escapeHtml(item.category)}</small>
+                </div>
+                <small class="queue-item-detail">
+                    ${item.status === 'active' && item.progress ? this.escapeHtml(this.describeDownloadProgress(item.progress).text) : ''}
+                    ${item.status === 'failed' ? this.escapeHtml(item.error) : ''}
+                </small>
+                <div class="queue-item-actions">
+                    ${item.status === 'failed' || item.status === 'cancelled' ? `<button class="btn btn-secondary" data-queue-action="retry" data-id="${item.id}">↻ Retry</button>` : ''}
+                    ${item.status === 'active' || item.status === 'pending' ? `<button class="btn btn-secondary" data-queue-action="cancel" data-id="${item.id}">⏹ Cancel</button>` : ''}
+                    ${item.status !== 'active' ? `<button class="btn btn-secondary" data-queue-action="remove" data-id="${item.id}">✕</button>` : ''}
+                </div>
+            </li>
+        `).join('');
+        
+        this.elements.queueList.querySelectorAll('[data-queue-action]').forEach(btn => {
+            btn.addEventListener('click', () => repospace.queue[btn.dataset.queueAction](btn.dataset.id));
+        });
+    }
+    
+    cancelActiveDownload() {
+        if (this.activeDownloadId && repospace) {
+            repospace.downloads.cancel(this.activeDownloadId);
+        }
+    }
+    
+    async resumeDownload(id) {
+        const repo = repospace ? await repospace.storage.findRepoById(id) : null;
+        if (!repo) {
+            this.showError('Repository not found in library');
+            return;
+        }
+        
+        const button = document.getElementById(`resume-${id}`);
+        try {
+            if (button) {
+                button.disabled = true;
+                button.textContent = '⏯️ Resuming...';
+            }
+            
+            await repospace.downloads.download(repo.id, {}, (progress) => {
+                if (button) button.textContent = `⏯️ ${this.describeDownloadProgress(progress).text}`;
+            });
+            
+            this.showSavedRepos();
+            this.showSuccess(`✅ Finished downloading ${repo.fullName}`);
+        } catch (error) {
+            console.error('❌ Resume failed:', error);
+            this.showError(`Failed to resume ${repo.fullName}: ${error.message}`);
+            this.showSavedRepos();
+        }
+    }
+    
+    describeDownloadProgress(progress) {
+        const format = (bytes) => this.formatFileSize(bytes);
+        
+        // git clone reports a phase and a percentage instead of file counts
+        if (progress.phase) {
+            return { percent: progress.percent, text: `${progress.phase}: ${progress.percent}%` };
+        }
+        
+        if (!progress.bytesTotal) {
+            return { percent: null, text: `${progress.filesDone} files` };
+        }
+        
+        const percent = Math.min(100, Math.round((progress.bytesDone / progress.bytesTotal) * 100));
+        return {
+            percent: percent,
+            text: `${progress.filesDone}/${progress.filesTotal} files · ${format(progress.bytesDone)} of ${format(progress.bytesTotal)}`
+        };
+    }
+    
+    updateSaveProgress(progress) {
+        const container = document.getElementById('saveProgress');
+        if (!container) return;
+        
+        if (!progress) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        container.style.display = 'block';
+        const fill = container.querySelector('.progress-fill');
+        const text = document.getElementById('saveProgressText');
+        const current = document.getElementById('saveProgressFile');
+        const { percent, text: summary } = this.describeDownloadProgress(progress);
+        
+        if (percent === null) {
+            fill.classList.add('indeterminate');
+            fill.style.width = '';
+        } else {
+            fill.classList.remove('indeterminate');
+            fill.style.width = `${percent}%`;
+        }
+        
+        text.textContent = (progress.resumed ? '⏯️ Resumed · ' : '') + summary;
+        if (current) {
+            current.textContent = progress.currentFile || '';
         }
     }
 		
+		// Browse from a search result opens the saved copy, if there is one
 		async openRepoFolder(fullName) {
         try {
-            const result = await ipcRenderer.invoke('open-repo-folder', fullName);
-            if (result.success) {
-                console.log('📁 Opened repo folder');
-            } else {
-                this.showError('Failed to open folder: ' + result.error);
+            const repo = await repospace.storage.findSavedRepo(fullName);
+            if (!repo) {
+                this.showError(`${fullName} is not saved yet - save it first to browse its files`);
+                return;
             }
+            await this.openSavedRepoFolder(repo.id);
+        } catch (error) {
+            this.showError('Failed to open folder: ' + error.message);
+        }
+    }
+    
+    async openSavedRepoFolder(id) {
+        try {
+            await repospace.shell.openRepoFolder(id);
+            console.log('📁 Opened repo folder');
         } catch (error) {
             this.showError('Failed to open folder: ' + error.message);
         }
@@ -584,12 +2730,30 @@ class RepoSpaceApp {
         if (this.elements.customCategory) {
             this.elements.customCategory.value = '';
         }
+        ['includePatterns', 'excludePatterns', 'maxFileSizeInput', 'saveRefInput'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        if (this.elements.filterPreview) {
+            this.elements.filterPreview.innerHTML = '';
+        }
+        if (this.elements.saveFilter) {
+            this.elements.saveFilter.open = false;
+        }
         this.currentRepo = null;
     }
     
     handleModalClick(e) {
         if (e.target.id === 'saveModal') {
             this.closeSaveModal();
+        } else if (e.target.id === 'repoDetailsModal') {
+            this.closeRepoDetails();
+        } else if (e.target.id === 'categoryModal') {
+            this.closeCategoryModal();
+        } else if (e.target.id === 'localRepoModal') {
+            this.closeLocalRepoModal();
+        } else if (e.target.id === 'loginModal') {
+            this.closeLoginModal();
         }
     }
     
@@ -597,6 +2761,12 @@ class RepoSpaceApp {
         if (e.key === 'Escape' && this.elements.saveModal && this.elements.saveModal.style.display === 'block') {
             this.closeSaveModal();
         }
+        if (e.key === 'Escape') {
+            this.closeRepoDetails();
+            this.closeCategoryModal();
+            this.closeLocalRepoModal();
+            this.closeLoginModal();
+        }
         
         if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
             e.preventDefault();
@@ -639,6 +2809,23 @@ class RepoSpaceApp {
         console.log(message);
     }
     
+    escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+    
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+    
     formatNumber(num) {
         if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
         if (num >= 1000) return (num / 1000).toFixed(1) + 'k';
@@ -678,24 +2865,11 @@ class RepoSpaceApp {
     }
 }
 
-// Global functions for HTML onclick events
-function saveRepository() {
-    if (window.app) {
-        window.app.saveRepository();
-    }
-}
-
-function closeSaveModal() {
-    if (window.app) {
-        window.app.closeSaveModal();
-    }
-}
-
-document.addEventListener('DOMContentLoaded', () => {
-    window.app = new RepoSpaceApp();
-});
-
-// Export for Node.js if needed
+// The unit tests load this file under Node, where there is no page to start
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = RepoSpaceApp;
+} else {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.app = new RepoSpaceApp();
+    });
 }
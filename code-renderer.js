@@ -0,0 +1,52 @@
+// code-renderer.js - Markdown to HTML and syntax highlighting, run in the main process.
+// The renderer sanitizes the Markdown output (readme-renderer.js) before showing it.
+const { marked } = require('marked');
+const hljs = require('highlight.js');
+
+// Auto-detection is slow on big files, so only use it for small ones
+const AUTO_DETECT_MAX_SIZE = 100 * 1024;
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+class CodeRenderer {
+    markdownToHtml(content) {
+        return marked.parse(content, {
+            gfm: true,
+            langPrefix: 'hljs language-',
+            highlight: (code, language) => {
+                try {
+                    return language && hljs.getLanguage(language)
+                        ? hljs.highlight(code, { language: language, ignoreIllegals: true }).value
+                        : hljs.highlightAuto(code).value;
+                } catch (error) {
+                    return code;
+                }
+            }
+        });
+    }
+
+    // Highlighted HTML for a source file, picking the language from its extension
+    highlight(content, filePath) {
+        const extension = filePath.includes('.') ? filePath.split('.').pop().toLowerCase() : '';
+        try {
+            if (extension && hljs.getLanguage(extension)) {
+                return hljs.highlight(content, { language: extension, ignoreIllegals: true }).value;
+            }
+            if (content.length < AUTO_DETECT_MAX_SIZE) {
+                return hljs.highlightAuto(content).value;
+            }
+        } catch (error) {
+            console.warn('Highlighting failed for', filePath, error);
+        }
+        return escapeHtml(content);
+    }
+}
+
+module.exports = CodeRenderer;
@@ -0,0 +1,235 @@
+// download-manager.js - Runs repository saves with progress, cancellation and resume
+const fs = require('fs-extra');
+const path = require('path');
+const FileFilter = require('./file-filter');
+
+// A resume missing more files than this unpacks a fresh archive instead of making one
+// Blobs API request per file (signed out, GitHub allows 60 requests an hour)
+const MAX_BLOB_REQUESTS = 20;
+
+class DownloadManager {
+    constructor(githubAPI, repoStorage) {
+        this.githubAPI = githubAPI;
+        this.repoStorage = repoStorage;
+        this.active = new Map(); // repo id -> AbortController
+        this.onComplete = null; // called with the library entry after every finished save
+    }
+
+    // Partial-download state lives next to the files so it survives restarts
+    getStatePath(repoDir) {
+        return path.join(repoDir, '.repospace-partial.json');
+    }
+
+    async readState(repoDir) {
+        const statePath = this.getStatePath(repoDir);
+        if (!(await fs.pathExists(statePath))) {
+            return null;
+        }
+        try {
+            return await fs.readJSON(statePath);
+        } catch (error) {
+            console.warn('Ignoring unreadable download state:', error.message);
+            return null;
+        }
+    }
+
+    async writeState(repoDir, state) {
+        await fs.ensureDir(repoDir);
+        await fs.writeJSON(this.getStatePath(repoDir), state, { spaces: 2 });
+    }
+
+    isActive(id) {
+        return this.active.has(id);
+    }
+
+    // Abort a running download; its partial state is kept so it can be resumed
+    cancel(id) {
+        const controller = this.active.get(id);
+        if (controller) {
+            controller.abort();
+            return true;
+        }
+        return false;
+    }
+
+    // Save (or resume saving) an archive-mode repository
+    async download(repo, options = {}) {
+        const { ref = repo.pinnedRef || null, onProgress = null, filter = null } = options;
+        const [owner, name] = repo.fullName.split('/');
+        const controller = this.startJob(repo);
+
+        try {
+            let state = await this.readState(repo.localPath);
+            const resuming = !!(state && state.commitSha);
+
+            if (!resuming) {
+                const resolvedRef = ref || (await this.githubAPI.getRepository(owner, name)).default_branch;
+                state = {
+                    fullName: repo.fullName,
+                    ref: resolvedRef,
+                    // Pin the download to a commit so a resume fetches the same files
+                    commitSha: await this.githubAPI.getCommitSha(owner, name, resolvedRef),
+                    filter: filter && !filter.isEmpty() ? filter.toJSON() : null,
+                    startedAt: new Date().toISOString()
+                };
+            }
+
+            // A resume keeps the filter the download was started with
+            const fileFilter = state.filter ? FileFilter.from(state.filter) : null;
+
+            // The tree gives exact file and byte totals before anything is downloaded
+            const blobs = await this.getTreeBlobs(owner, name, state.commitSha, fileFilter);
+            const progress = {
+                filesDone: 0,
+                filesTotal: blobs ? blobs.length : null,
+                bytesDone: 0,
+                bytesTotal: blobs ? blobs.reduce((total, blob) => total + (blob.size || 0), 0) : null,
+                currentFile: null,
+                resumed: resuming
+            };
+            const report = () => {
+                if (onProgress) onProgress({ ...progress });
+            };
+
+            if (resuming && blobs) {
+                console.log(`⏯️ Resuming ${repo.fullName} at ${state.commitSha.slice(0, 7)}`);
+                await this.resumeFromTree(repo, state, fileFilter, blobs, progress, report, controller.signal);
+            } else {
+                // Without the whole tree there is no telling which saved files are still right
+                await fs.emptyDir(repo.localPath);
+                await this.writeState(repo.localPath, { ...state, filesTotal: progress.filesTotal, bytesTotal: progress.bytesTotal });
+                await this.extractArchive(repo, state, fileFilter, null, progress, report, controller.signal);
+            }
+
+            await this.repoStorage.writeRepoMetadata(repo.localPath, {
+                repoName: repo.fullName,
+                downloadedAt: new Date().toISOString(),
+                fileCount: blobs ? progress.filesTotal : progress.filesDone,
+                totalSize: blobs ? progress.bytesTotal : progress.bytesDone,
+                mode: 'archive',
+                ref: state.ref,
+                commitSha: state.commitSha,
+                filter: state.filter || null
+            });
+            await fs.remove(this.getStatePath(repo.localPath));
+            this.repoStorage.updateRepo(repo.id, { status: 'complete' });
+            if (this.onComplete) this.onComplete(repo);
+
+            return repo.localPath;
+        } finally {
+            this.active.delete(repo.id);
+        }
+    }
+
+    // Save a repository as a git clone (cancellable, but not resumable)
+    async clone(repo, cloneUrl, options = {}) {
+        const { shallow = true, ref = repo.pinnedRef || null, onProgress = null } = options;
+        const controller = this.startJob(repo);
+
+        try {
+            const savedPath = await this.repoStorage.saveRepositoryClone(repo.fullName, cloneUrl, repo.category, {
+                repoDir: repo.localPath,
+                shallow: shallow,
+                ref: ref,
+                onProgress: onProgress,
+                signal: controller.signal
+            });
+            this.repoStorage.updateRepo(repo.id, { status: 'complete' });
+            if (this.onComplete) this.onComplete(repo);
+            return savedPath;
+        } catch (error) {
+            // Nothing of a clone survives a failure, so its library entry goes with it
+            await this.repoStorage.removeRepo(repo.fullName, repo.category, repo.pinnedRef || null)
+                .catch(removeError => console.error('Failed to remove unfinished clone:', removeError));
+            throw error;
+        } finally {
+            this.active.delete(repo.id);
+        }
+    }
+
+    startJob(repo) {
+        if (this.active.has(repo.id)) {
+            throw new Error(`${repo.fullName} is already downloading`);
+        }
+        const controller = new AbortController();
+        this.active.set(repo.id, controller);
+        this.repoStorage.updateRepo(repo.id, { status: 'partial' });
+        return controller;
+    }
+
+    // The blobs of a commit's tree that the filter keeps, or null when GitHub can't list
+    // the whole tree; the download then has no totals and can't pick up where it left off
+    async getTreeBlobs(owner, name, commitSha, fileFilter) {
+        try {
+            const tree = await this.githubAPI.getTree(owner, name, commitSha);
+            return tree.filter(item => item.type === 'blob' && (!fileFilter || fileFilter.matches(item.path, item.size)));
+        } catch (error) {
+            if (!error.truncated) throw error;
+            console.warn(`${owner}/${name} is too large to list, downloading the whole archive`);
+            return null;
+        }
+    }
+
+    // Unpack the pinned commit's tarball into the repo folder; `only` limits it to a set of paths
+    async extractArchive(repo, state, fileFilter, only, progress, report, signal) {
+        const [owner, name] = repo.fullName.split('/');
+        const filesBefore = progress.filesDone;
+        const bytesBefore = progress.bytesDone;
+
+        const archive = await this.githubAPI.getRepositoryArchiveStream(owner, name, state.commitSha, signal);
+        await this.repoStorage.extractRepositoryArchive(repo.fullName, archive.stream, repo.category, {
+            repoDir: repo.localPath,
+            ref: state.ref,
+            commitSha: state.commitSha,
+            filter: fileFilter,
+            only: only,
+            clean: false,
+            signal: signal,
+            onProgress: (extract) => {
+                progress.filesDone = filesBefore + extract.fileCount;
+                progress.bytesDone = bytesBefore + extract.totalSize;
+                progress.currentFile = extract.currentFile;
+                report();
+            }
+        });
+    }
+
+    // Fetch only the blobs that aren't already on disk with the right content
+    async resumeFromTree(repo, state, fileFilter, blobs, progress, report, signal) {
+        const [owner, name] = repo.fullName.split('/');
+        const diff = await this.repoStorage.diffAgainstTree(repo.localPath, blobs);
+        const pending = new Set(diff.changed.map(blob => blob.path));
+
+        // Whatever already matches the pinned tree counts as done
+        for (const blob of blobs) {
+            if (!pending.has(blob.path)) {
+                progress.filesDone++;
+                progress.bytesDone += blob.size || 0;
+            }
+        }
+        report();
+
+        if (pending.size > MAX_BLOB_REQUESTS) {
+            // One archive request instead of one per file; only the missing files are unpacked
+            await this.extractArchive(repo, state, fileFilter, pending, progress, report, signal);
+        } else {
+            for (const blob of diff.changed) {
+                signal.throwIfAborted();
+                progress.currentFile = blob.path;
+
+                const content = await this.githubAPI.getBlob(owner, name, blob.sha, signal);
+                await this.repoStorage.writeRepoBlob(repo.localPath, blob, content);
+
+                progress.filesDone++;
+                progress.bytesDone += blob.size || 0;
+                report();
+            }
+        }
+
+        for (const filePath of diff.removed) {
+            await this.repoStorage.removeRepoFile(repo.localPath, filePath);
+        }
+    }
+}
+
+module.exports = DownloadManager;
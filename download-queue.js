@@ -0,0 +1,214 @@
+// download-queue.js - Background queue that saves several repositories at once
+const crypto = require('crypto');
+
+class DownloadQueue {
+    constructor(downloadManager, repoStorage, options = {}) {
+        this.downloadManager = downloadManager;
+        this.repoStorage = repoStorage;
+        this.concurrency = options.concurrency || 2;
+        // Stop starting new work when fewer requests than this are left
+        this.rateLimitReserve = options.rateLimitReserve || 10;
+        this.items = [];
+        this.pausedUntil = null;
+        this.resumeTimer = null;
+        this.onChange = null;
+    }
+
+    notify() {
+        if (this.onChange) this.onChange(this.items);
+    }
+
+    setConcurrency(concurrency) {
+        this.concurrency = Math.max(1, parseInt(concurrency, 10) || 1);
+        this.pump();
+    }
+
+    // Queue a repository for saving; returns the queue item
+    add(repoData, category, options = {}) {
+        const { mode = 'archive', shallow = true, ref = null, filter = null } = options;
+
+        const alreadyQueued = this.items.find(item => item.repoData.fullName === repoData.fullName &&
+            item.category === category && item.ref === ref && item.status !== 'done');
+        if (alreadyQueued) {
+            return alreadyQueued;
+        }
+
+        const saved = this.repoStorage.saveRepoMetadata({ ...repoData, mode: mode, ref: ref }, category);
+        const repo = this.repoStorage.findSavedRepo(repoData.fullName, category, ref);
+        if (!saved && repo.status !== 'partial') {
+            throw new Error(`${repoData.fullName} already exists in "${category}" category`);
+        }
+
+        const item = {
+            id: crypto.randomUUID(),
+            repoId: repo.id,
+            repoData: repoData,
+            category: category,
+            mode: mode,
+            cloneUrl: repoData.cloneUrl,
+            shallow: shallow,
+            ref: ref,
+            filter: filter,
+            status: 'pending',
+            progress: null,
+            error: null,
+            addedAt: new Date().toISOString()
+        };
+        this.items.push(item);
+        this.notify();
+        this.pump();
+        return item;
+    }
+
+    // Queue several repositories into the same category, skipping ones that fail to queue
+    addMany(repos, category, options = {}) {
+        const results = { queued: [], skipped: [] };
+        for (const repoData of repos) {
+            try {
+                results.queued.push(this.add(repoData, category, options));
+            } catch (error) {
+                results.skipped.push({ fullName: repoData.fullName, reason: error.message });
+            }
+        }
+        return results;
+    }
+
+    retry(id) {
+        const item = this.items.find(i => i.id === id);
+        if (item && (item.status === 'failed' || item.status === 'cancelled')) {
+            // A clone that failed took its library entry with it
+            if (item.mode === 'clone' && !this.repoStorage.findRepoById(item.repoId)) {
+                this.repoStorage.saveRepoMetadata({ ...item.repoData, mode: item.mode, ref: item.ref }, item.category);
+                item.repoId = this.repoStorage.findSavedRepo(item.repoData.fullName, item.category, item.ref).id;
+            }
+            item.status = 'pending';
+            item.error = null;
+            this.notify();
+            this.pump();
+        }
+    }
+
+    // Cancel an active item or drop a pending one
+    cancel(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+
+        if (item.status === 'active') {
+            this.downloadManager.cancel(item.repoId);
+        } else if (item.status === 'pending') {
+            item.status = 'cancelled';
+            this.notify();
+            // A clone that never started has an entry but no files; retrying adds it back
+            if (item.mode === 'clone') {
+                const repo = this.repoStorage.findRepoById(item.repoId);
+                if (repo && !repo.status) {
+                    this.repoStorage.removeRepo(repo.fullName, repo.category, repo.pinnedRef || null)
+                        .catch(error => console.error('Failed to remove cancelled clone:', error));
+                }
+            }
+        }
+    }
+
+    remove(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item || item.status === 'active') return;
+        this.items = this.items.filter(i => i.id !== id);
+        this.notify();
+    }
+
+    clearFinished() {
+        this.items = this.items.filter(item => item.status !== 'done');
+        this.notify();
+    }
+
+    getCounts() {
+        return this.items.reduce((counts, item) => {
+            counts[item.status] = (counts[item.status] || 0) + 1;
+            return counts;
+        }, { pending: 0, active: 0, failed: 0, done: 0, cancelled: 0 });
+    }
+
+    // Pause until the rate limit resets when GitHub says we're nearly out of requests
+    checkRateLimit() {
+        const rateLimit = this.downloadManager.githubAPI ? this.downloadManager.githubAPI.getRateLimit('core') : null;
+        if (this.pausedUntil && this.pausedUntil > Date.now()) {
+            return true;
+        }
+        if (!rateLimit || rateLimit.remaining > this.rateLimitReserve || rateLimit.reset <= Date.now()) {
+            this.pausedUntil = null;
+            return false;
+        }
+
+        this.pauseUntil(rateLimit.reset);
+        return true;
+    }
+
+    // Hold pending items until `time` (ms), then pick up where the queue left off
+    pauseUntil(time) {
+        if (this.pausedUntil === time) return;
+        this.pausedUntil = time;
+        clearTimeout(this.resumeTimer);
+        // A second of slack so the new window has really started
+        this.resumeTimer = setTimeout(() => {
+            this.pausedUntil = null;
+            this.notify();
+            this.pump();
+        }, Math.max(time - Date.now(), 0) + 1000);
+        console.log(`⏸️ Queue paused until ${new Date(time).toLocaleTimeString()} (rate limit)`);
+        this.notify();
+    }
+
+    // Start as many pending items as the concurrency limit allows
+    pump() {
+        while (this.getCounts().active < this.concurrency) {
+            const next = this.items.find(item => item.status === 'pending');
+            if (!next || this.checkRateLimit()) break;
+            this.run(next);
+        }
+    }
+
+    async run(item) {
+        item.status = 'active';
+        item.error = null;
+        this.notify();
+
+        try {
+            const repo = this.repoStorage.findRepoById(item.repoId);
+            if (!repo) {
+                throw new Error('Library entry was removed');
+            }
+
+            const onProgress = (progress) => {
+                item.progress = progress;
+                this.notify();
+            };
+
+            if (item.mode === 'clone') {
+                await this.downloadManager.clone(repo, item.cloneUrl, { shallow: item.shallow, ref: item.ref, onProgress: onProgress });
+            } else {
+                await this.downloadManager.download(repo, { ref: item.ref, filter: item.filter, onProgress: onProgress });
+            }
+            item.status = 'done';
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                item.status = 'cancelled';
+            } else if (error.rateLimitReset) {
+                // GitHubAPI gave up waiting; it says when the limit lifts
+                this.pauseUntil(error.rateLimitReset);
+                item.status = 'pending';
+            } else if ((error.status === 403 || error.status === 429) && this.checkRateLimit()) {
+                // Put it back; it resumes from its partial state once the limit resets
+                item.status = 'pending';
+            } else {
+                item.status = 'failed';
+                item.error = error.message;
+            }
+            console.error(`❌ Queue item ${item.repoData.fullName} ${item.status}:`, error.message);
+        } finally {
+            this.notify();
+            this.pump();
+        }
+    }
+}
+
+module.exports = DownloadQueue;
@@ -0,0 +1,57 @@
+// file-filter.js - Include/exclude globs and a size cap for selective saves
+const { minimatch } = require('minimatch');
+
+class FileFilter {
+    constructor(options = {}) {
+        this.include = options.include || [];
+        this.exclude = options.exclude || [];
+        this.maxFileSize = options.maxFileSize || null; // bytes
+    }
+
+    // Rebuild a filter from the plain object stored in .repospace-meta.json
+    static from(stored) {
+        return stored instanceof FileFilter ? stored : new FileFilter(stored || {});
+    }
+
+    // "src/**, docs\n*.md" -> ['src/**', 'docs', '*.md']
+    static parsePatterns(text) {
+        return (text || '').split(/[,\n]/).map(pattern => pattern.trim()).filter(Boolean);
+    }
+
+    isEmpty() {
+        return this.include.length === 0 && this.exclude.length === 0 && !this.maxFileSize;
+    }
+
+    // Patterns behave like .gitignore: a leading "/" anchors to the repo root,
+    // otherwise they can match at any depth, and matching a folder matches everything in it
+    matchesPattern(filePath, pattern) {
+        const anchored = pattern.startsWith('/');
+        const glob = anchored ? pattern.slice(1) : pattern;
+        const options = { dot: true, matchBase: !anchored && !glob.includes('/') };
+
+        const segments = filePath.split('/');
+        for (let i = segments.length; i > 0; i--) {
+            const candidate = segments.slice(0, i).join('/');
+            if (minimatch(candidate, glob, options)) return true;
+            if (!anchored && glob.includes('/') && minimatch(candidate, `**/${glob}`, options)) return true;
+        }
+        return false;
+    }
+
+    // size may be unknown (the compare API doesn't report it); only the patterns apply then
+    matches(filePath, size = null) {
+        if (this.include.length > 0 && !this.include.some(pattern => this.matchesPattern(filePath, pattern))) {
+            return false;
+        }
+        if (this.exclude.some(pattern => this.matchesPattern(filePath, pattern))) {
+            return false;
+        }
+        return !(this.maxFileSize && size !== null && size !== undefined && size > this.maxFileSize);
+    }
+
+    toJSON() {
+        return { include: this.include, exclude: this.exclude, maxFileSize: this.maxFileSize };
+    }
+}
+
+module.exports = FileFilter;
@@ -0,0 +1,190 @@
+// git-client.js - Thin wrapper around the git command line
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+
+class GitClient {
+    constructor(gitPath = 'git') {
+        this.gitPath = gitPath;
+    }
+
+    // Run a git command and resolve with its stdout
+    run(args, options = {}) {
+        const { cwd = process.cwd(), onStderr = null, signal = null } = options;
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.gitPath, args, {
+                cwd: cwd,
+                signal: signal || undefined,
+                // Never block on a credential prompt for private or missing repos
+                env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+            });
+
+            let stdout = '';
+            let stderr = '';
+
+            child.stdout.on('data', (data) => {
+                stdout += data.toString();
+            });
+            child.stderr.on('data', (data) => {
+                stderr += data.toString();
+                if (onStderr) onStderr(data.toString());
+            });
+
+            child.on('error', (error) => {
+                if (error.name === 'AbortError') {
+                    reject(error);
+                } else if (error.code === 'ENOENT') {
+                    reject(new Error('git is not installed or not on PATH'));
+                } else {
+                    reject(error);
+                }
+            });
+            child.on('close', (code) => {
+                if (code === 0) {
+                    resolve(stdout);
+                } else {
+                    const lastLine = stderr.trim().split('\n').pop();
+                    reject(new Error(`git ${args[0]} failed: ${lastLine || `exit code ${code}`}`));
+                }
+            });
+        });
+    }
+
+    // Check whether git can be run at all
+    async isAvailable() {
+        try {
+            await this.run(['--version']);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Clone a repository (remote URL, file:// URL or local path) into destDir
+    async clone(url, destDir, options = {}) {
+        const { depth = null, ref = null, onProgress = null, signal = null } = options;
+        const args = ['clone', '--progress'];
+        // --branch only takes branch and tag names; a commit is checked out after a full clone.
+        // Hex-only names like "deadbeef" can be branches or tags too, so the remote is asked first.
+        const commit = ref && /^[0-9a-f]{7,40}$/i.test(ref) && !(await this.hasRemoteRef(url, ref, signal)) ? ref : null;
+
+        if (depth && !commit) {
+            args.push('--depth', String(depth));
+        }
+        if (ref && !commit) {
+            args.push('--branch', ref);
+        }
+        // "--" keeps a URL that starts with a dash from being read as an option
+        args.push('--', url, destDir);
+
+        await fs.ensureDir(path.dirname(destDir));
+        await this.run(args, {
+            signal: signal,
+            onStderr: (chunk) => {
+                if (!onProgress) return;
+                // git redraws progress lines with \r, e.g. "Receiving objects:  45% (450/1000)"
+                chunk.split(/[\r\n]+/).forEach(line => {
+                    const match = line.match(/^(?:remote: )?([A-Za-z ]+):\s+(\d+)%/);
+                    if (match) {
+                        onProgress({ phase: match[1].trim(), percent: parseInt(match[2], 10) });
+                    }
+                });
+            }
+        });
+
+        if (commit) {
+            await this.run(['checkout', '--detach', commit], { cwd: destDir, signal: signal });
+        }
+        return destDir;
+    }
+
+    // Whether the remote has a branch or tag with exactly this name
+    async hasRemoteRef(url, name, signal = null) {
+        const output = await this.run(['ls-remote', '--end-of-options', url, `refs/heads/${name}`, `refs/tags/${name}`], { signal: signal });
+        return output.trim().length > 0;
+    }
+
+    // Get the full SHA of HEAD
+    async getHeadSha(repoDir) {
+        const output = await this.run(['rev-parse', 'HEAD'], { cwd: repoDir });
+        return output.trim();
+    }
+
+    // Get the current branch name, or null when HEAD is detached
+    async getCurrentBranch(repoDir) {
+        const output = await this.run(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: repoDir });
+        const branch = output.trim();
+        return branch === 'HEAD' ? null : branch;
+    }
+
+    // Get the URL a remote fetches from, or null when the repo has no such remote
+    async getRemoteUrl(repoDir, remote = 'origin') {
+        try {
+            const output = await this.run(['config', '--get', `remote.${remote}.url`], { cwd: repoDir });
+            return output.trim() || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Refs come from meta files and bundles, so anything git wouldn't take as a ref name
+    // is refused before it reaches a command; check-ref-format itself can't be handed a dash
+    async assertValidRef(ref) {
+        const valid = !ref.startsWith('-') &&
+            await this.run(['check-ref-format', '--allow-onelevel', ref]).then(() => true, () => false);
+        if (!valid) {
+            throw new Error(`Invalid ref: ${ref}`);
+        }
+    }
+
+    // Look up the commit SHA a ref points to on the remote, without fetching anything
+    async getRemoteSha(repoDir, ref = null, remote = 'origin') {
+        const name = ref || 'HEAD';
+        await this.assertValidRef(name);
+        // An annotated tag points at a tag object; "^{}" asks for the commit it was made on too
+        const output = await this.run(['ls-remote', '--end-of-options', remote, name, `${name}^{}`], { cwd: repoDir });
+        const lines = output.trim().split('\n').filter(Boolean);
+        const line = lines.find(entry => entry.endsWith('^{}')) || lines[0];
+
+        if (!line) {
+            // ls-remote only knows branch and tag names; a pinned SHA never moves
+            if (ref && /^[0-9a-f]{40}$/i.test(ref)) return ref;
+            throw new Error(`Ref not found on ${remote}: ${name}`);
+        }
+        return line.split(/\s+/)[0];
+    }
+
+    // Fetch a ref and move the working tree to it (saved clones are read-only mirrors)
+    async pull(repoDir, options = {}) {
+        const { ref = null, shallow = false, remote = 'origin' } = options;
+        const target = ref || await this.getCurrentBranch(repoDir) || 'HEAD';
+        await this.assertValidRef(target);
+        const args = ['fetch', '--end-of-options', remote, target];
+
+        if (shallow) {
+            args.splice(1, 0, '--depth', '1');
+        }
+
+        await this.run(args, { cwd: repoDir });
+        await this.run(['reset', '--hard', 'FETCH_HEAD'], { cwd: repoDir });
+    }
+
+    // List the files that differ between two commits
+    async getChangedFiles(repoDir, fromSha, toSha) {
+        const output = await this.run(['diff', '--name-only', fromSha, toSha], { cwd: repoDir });
+        return output.split('\n').filter(Boolean);
+    }
+
+    // Keep RepoSpace's own files out of `git status`
+    async excludeFromStatus(repoDir, pattern) {
+        const excludePath = path.join(repoDir, '.git', 'info', 'exclude');
+        await fs.ensureFile(excludePath);
+        const current = await fs.readFile(excludePath, 'utf8');
+        if (!current.split('\n').includes(pattern)) {
+            await fs.appendFile(excludePath, `${current.endsWith('\n') || !current ? '' : '\n'}${pattern}\n`);
+        }
+    }
+}
+
+module.exports = GitClient;
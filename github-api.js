@@ -1,53 +1,363 @@
 // github-api.js
 const { Octokit } = require("@octokit/rest");
+const { Readable } = require("stream");
+const { setTimeout: sleep } = require("timers/promises");
+
+// The Contents API only inlines files up to 1 MB; bigger ones need the Blobs API
+const CONTENTS_API_MAX_SIZE = 1024 * 1024;
+
+// Extensions that are always treated as binary, whatever their bytes look like
+const BINARY_EXTENSIONS = new Set([
+  "png", "jpg", "jpeg", "gif", "webp", "bmp", "ico", "tif", "tiff", "psd",
+  "pdf", "zip", "gz", "tgz", "bz2", "xz", "7z", "rar", "tar", "jar", "war",
+  "class", "exe", "dll", "so", "dylib", "o", "a", "lib", "wasm", "pyc", "bin",
+  "woff", "woff2", "ttf", "otf", "eot",
+  "mp3", "mp4", "wav", "ogg", "flac", "webm", "mov", "avi", "mkv",
+  "sqlite", "db", "keystore", "jks",
+]);
+
+// GET routes whose responses are kept on disk for offline use
+const CACHED_ROUTES = new Set([
+  "/search/repositories",
+  "/repos/{owner}/{repo}",
+  "/repos/{owner}/{repo}/readme",
+  "/repos/{owner}/{repo}/languages",
+  "/repos/{owner}/{repo}/contributors",
+  "/repos/{owner}/{repo}/releases",
+  "/user",
+]);
+
+// How much of each list the insights panel shows
+const INSIGHTS_CONTRIBUTORS = 10;
+const INSIGHTS_RELEASES = 5;
+
+// Transient failures (dropped connections, GitHub 5xx, secondary rate limits) are
+// retried with exponential backoff: 1s, 2s, 4s, 8s plus jitter
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY = 1000;
+const RETRYABLE_STATUSES = new Set([500, 502, 503, 504]);
+
+// A primary rate limit that resets within this is waited out; a longer one fails
+// the request so callers (the download queue) can pause instead of hanging
+const MAX_RATE_LIMIT_WAIT = 60 * 1000;
+
+// GitHub asks for at least a minute when a secondary limit comes without retry-after
+const SECONDARY_RATE_LIMIT_WAIT = 60 * 1000;
+
+// Decide whether file content is binary, by extension first and then by sniffing
+function isBinaryContent(buffer, filePath = "") {
+  const extension = filePath.includes(".") ? filePath.split(".").pop().toLowerCase() : "";
+  if (BINARY_EXTENSIONS.has(extension)) {
+    return true;
+  }
+
+  // A NUL byte in the first 8000 bytes is the same heuristic git uses
+  if (buffer.subarray(0, 8000).includes(0)) {
+    return true;
+  }
+
+  // Anything that isn't valid UTF-8 would be mangled by toString("utf-8")
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+// Keep binary files as Buffers and decode text files as UTF-8
+function decodeFileContent(buffer, filePath) {
+  return isBinaryContent(buffer, filePath) ? buffer : buffer.toString("utf-8");
+}
+
+// Turn a WHATWG ReadableStream (the body of Node's fetch, which Octokit uses in the
+// main process) into a Node stream of Buffers instead of the Uint8Arrays fetch yields.
+function webStreamToNode(webStream) {
+  async function* read() {
+    const reader = webStream.getReader();
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield Buffer.from(value);
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+  return Readable.from(read());
+}
 
 class GitHubAPI {
-  constructor(accessToken = null) {
+  constructor(accessToken = null, options = {}) {
     this.octokit = new Octokit(
       accessToken ? { auth: accessToken } : {}
     );
     this.authenticated = !!accessToken;
+    this.rateLimits = {};
+    this.cache = options.cache || null;
+    this.maxRetries = options.maxRetries === undefined ? MAX_RETRIES : options.maxRetries;
+    this.onRateLimit = options.onRateLimit || null; // called with all known limits when one changes
+
+    // Registered first so it sits closest to the network: the cache only falls
+    // back to its copy once every retry has failed
+    this.octokit.hook.wrap("request", (request, requestOptions) =>
+      this.retryRequest(request, requestOptions)
+    );
+
+    if (this.cache) {
+      this.octokit.hook.wrap("request", (request, requestOptions) =>
+        this.cachedRequest(request, requestOptions, accessToken)
+      );
+    }
+
+    // Track x-ratelimit-* headers from every response, including failed ones
+    this.octokit.hook.after("request", (response) => {
+      this.recordRateLimit(response.headers);
+    });
+    this.octokit.hook.error("request", (error) => {
+      if (error.response) {
+        this.recordRateLimit(error.response.headers);
+      }
+      throw error;
+    });
+  }
+
+  recordRateLimit(headers = {}) {
+    if (headers["x-ratelimit-remaining"] === undefined) return;
+
+    const resource = headers["x-ratelimit-resource"] || "core";
+    this.rateLimits[resource] = {
+      limit: parseInt(headers["x-ratelimit-limit"], 10),
+      remaining: parseInt(headers["x-ratelimit-remaining"], 10),
+      reset: parseInt(headers["x-ratelimit-reset"], 10) * 1000,
+    };
+    if (this.onRateLimit) this.onRateLimit({ ...this.rateLimits });
+  }
+
+  // Last known rate limit for a resource ("core", "search", ...), or null
+  getRateLimit(resource = "core") {
+    return this.rateLimits[resource] || null;
+  }
+
+  // Send a request, retrying transient failures. Errors that give up because of a
+  // rate limit carry rateLimitReset (ms) so callers know when to try again
+  async retryRequest(request, requestOptions) {
+    const signal = requestOptions.request && requestOptions.request.signal;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request(requestOptions);
+      } catch (error) {
+        if (error.response) this.recordRateLimit(error.response.headers);
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null || (signal && signal.aborted)) {
+          throw error;
+        }
+        console.warn(`⏳ ${requestOptions.method} ${requestOptions.url} failed (${error.status || error.message}), retry ${attempt + 1} in ${Math.ceil(delay / 1000)}s`);
+        await sleep(delay, undefined, signal ? { signal } : undefined);
+      }
+    }
+  }
+
+  // Milliseconds to wait before retrying a failed request, or null to give up
+  getRetryDelay(error, attempt) {
+    if (error.name === "AbortError") return null;
+
+    const headers = (error.response && error.response.headers) || {};
+    const backoff = RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY;
+    const retryAfter = parseInt(headers["retry-after"], 10);
+
+    if (error.status === 403 || error.status === 429) {
+      let wait;
+      if (!Number.isNaN(retryAfter)) {
+        wait = retryAfter * 1000;
+      } else if (headers["x-ratelimit-remaining"] === "0") {
+        // Primary limit: nothing works again until the window resets
+        const reset = parseInt(headers["x-ratelimit-reset"], 10);
+        wait = Number.isNaN(reset) ? backoff : reset * 1000 - Date.now() + 1000;
+      } else if (/secondary rate limit/i.test(error.message)) {
+        wait = Math.max(SECONDARY_RATE_LIMIT_WAIT, backoff);
+      } else {
+        return null; // a plain "forbidden"
+      }
+
+      if (attempt >= this.maxRetries || wait > MAX_RATE_LIMIT_WAIT) {
+        error.rateLimitReset = Date.now() + Math.max(wait, 0);
+        return null;
+      }
+      return Math.max(wait, 0);
+    }
+
+    // No response at all means the connection failed before GitHub answered
+    if (attempt < this.maxRetries && (!error.response || RETRYABLE_STATUSES.has(error.status))) {
+      return Number.isNaN(retryAfter) ? backoff : retryAfter * 1000;
+    }
+    return null;
+  }
+
+  // Revalidate cacheable GETs with If-None-Match (a 304 doesn't count against
+  // the rate limit) and fall back to the cached copy when GitHub is unreachable
+  async cachedRequest(request, requestOptions, accessToken) {
+    if (requestOptions.method !== "GET" || !CACHED_ROUTES.has(requestOptions.url)) {
+      return request(requestOptions);
+    }
+
+    const { url } = this.octokit.request.endpoint.parse(requestOptions);
+    const key = this.cache.getKey(url, accessToken);
+    const entry = await this.cache.get(key);
+    if (entry && entry.etag) {
+      requestOptions.headers = { ...requestOptions.headers, "if-none-match": entry.etag };
+    }
+
+    try {
+      const response = await request(requestOptions);
+      if (response.headers.etag) {
+        await this.cache.set(key, {
+          url,
+          etag: response.headers.etag,
+          data: response.data,
+          cachedAt: new Date().toISOString(),
+        });
+      }
+      return response;
+    } catch (error) {
+      if (entry && error.status === 304) {
+        await this.cache.set(key, { ...entry, cachedAt: new Date().toISOString() });
+        return { status: 200, url, headers: error.response.headers, data: entry.data };
+      }
+      // No response at all (or a GitHub outage) means we're effectively offline
+      if (entry && (!error.response || error.status >= 500)) {
+        console.warn(`📴 Serving cached ${url} from ${entry.cachedAt}:`, error.message);
+        return { status: 200, url, headers: {}, data: entry.data, offline: true, cachedAt: entry.cachedAt };
+      }
+      throw error;
+    }
+  }
+
+  // Responses served from the cache while offline carry offline/cachedAt for the UI
+  withCacheInfo(response) {
+    return response.offline
+      ? { ...response.data, offline: true, cachedAt: response.cachedAt }
+      : response.data;
+  }
+
+  // The signed-in user; a 401 here means the token was revoked or expired
+  async getAuthenticatedUser() {
+    try {
+      const response = await this.octokit.rest.users.getAuthenticated();
+      return this.withCacheInfo(response);
+    } catch (error) {
+      console.error("❌ Error fetching signed-in user:", error);
+      throw error;
+    }
+  }
+
+  // Fetch every page of a list endpoint; onProgress gets the running count
+  async paginateAll(method, params, onProgress = null) {
+    const items = [];
+    for await (const response of this.octokit.paginate.iterator(method, { per_page: 100, ...params })) {
+      items.push(...response.data);
+      if (onProgress) onProgress(items.length);
+    }
+    return items;
   }
 
-  // Get repositories for authenticated user
-  async getUserRepositories() {
+  // Get every repository the authenticated user owns or collaborates on
+  async getUserRepositories(onProgress = null) {
     if (!this.authenticated) {
       throw new Error("Authentication required");
     }
     try {
-      const response = await this.octokit.rest.repos.listForAuthenticatedUser({
-        sort: "updated",
-        per_page: 100,
-      });
-      return response.data;
+      return await this.paginateAll(this.octokit.rest.repos.listForAuthenticatedUser, { sort: "updated" }, onProgress);
     } catch (error) {
       console.error("❌ Error fetching user repositories:", error);
       throw error;
     }
   }
 
-  // Search public repositories
-  async searchRepositories(query, page = 1) {
+  // Get every repository the authenticated user has starred
+  async getStarredRepositories(onProgress = null) {
+    if (!this.authenticated) {
+      throw new Error("Authentication required");
+    }
     try {
-      const response = await this.octokit.rest.search.repos({
-        q: query,
-        sort: "stars",
-        order: "desc",
-        per_page: 30,
-        page,
-      });
-      return response.data;
+      return await this.paginateAll(this.octokit.rest.activity.listReposStarredByAuthenticatedUser, { sort: "created" }, onProgress);
+    } catch (error) {
+      console.error("❌ Error fetching starred repositories:", error);
+      throw error;
+    }
+  }
+
+  // Get the organizations the authenticated user belongs to
+  async getUserOrganizations() {
+    if (!this.authenticated) {
+      throw new Error("Authentication required");
+    }
+    try {
+      return await this.paginateAll(this.octokit.rest.orgs.listForAuthenticatedUser, {});
+    } catch (error) {
+      console.error("❌ Error fetching organizations:", error);
+      throw error;
+    }
+  }
+
+  // Get every repository of an organization the user can see
+  async getOrganizationRepositories(org, onProgress = null) {
+    try {
+      return await this.paginateAll(this.octokit.rest.repos.listForOrg, { org, sort: "updated" }, onProgress);
+    } catch (error) {
+      console.error(`❌ Error fetching repositories for ${org}:`, error);
+      throw error;
+    }
+  }
+
+  // Search repositories; sort null means GitHub's "best match" ranking
+  async searchRepositories(query, options = {}) {
+    const { page = 1, perPage = 30, sort = "stars", order = "desc" } = options;
+    try {
+      const params = { q: query, per_page: perPage, page };
+      if (sort) {
+        params.sort = sort;
+        params.order = order;
+      }
+      const response = await this.octokit.rest.search.repos(params);
+      return this.withCacheInfo(response);
     } catch (error) {
       console.error("❌ Error searching repositories:", error);
       throw error;
     }
   }
 
+  // Turn free text plus filter panel values into a search query with qualifiers
+  buildSearchQuery(text, filters = {}) {
+    const qualify = (key, value) => `${key}:${/\s/.test(value) ? `"${value}"` : value}`;
+    const parts = text ? [text] : [];
+
+    if (filters.language) parts.push(qualify("language", filters.language));
+    if (filters.minStars && filters.maxStars) {
+      parts.push(`stars:${filters.minStars}..${filters.maxStars}`);
+    } else if (filters.minStars) {
+      parts.push(`stars:>=${filters.minStars}`);
+    } else if (filters.maxStars) {
+      parts.push(`stars:<=${filters.maxStars}`);
+    }
+    if (filters.pushedAfter) parts.push(`pushed:>=${filters.pushedAfter}`);
+    (filters.topics || []).forEach((topic) => parts.push(qualify("topic", topic)));
+    if (filters.license) parts.push(`license:${filters.license}`);
+    // GitHub leaves forks out unless asked; "true" includes them, "only" restricts to them
+    if (filters.forks) parts.push(`fork:${filters.forks}`);
+    if (filters.archived) parts.push(`archived:${filters.archived}`);
+
+    return parts.join(" ");
+  }
+
   // Get repository metadata
   async getRepository(owner, repo) {
     try {
       const response = await this.octokit.rest.repos.get({ owner, repo });
-      return response.data;
+      return this.withCacheInfo(response);
     } catch (error) {
       console.error("❌ Error fetching repository:", error);
       throw error;
@@ -55,12 +365,13 @@ class GitHubAPI {
   }
 
   // Get repository contents at a path
-  async getRepositoryContents(owner, repo, path = "") {
+  async getRepositoryContents(owner, repo, path = "", ref = null) {
     try {
       const response = await this.octokit.rest.repos.getContent({
         owner,
         repo,
         path,
+        ...(ref ? { ref } : {}),
       });
       return response.data;
     } catch (error) {
@@ -69,32 +380,258 @@ class GitHubAPI {
     }
   }
 
-  // Get file content (decoded from base64)
-  async getFileContent(owner, repo, path) {
+  // Get file content: a UTF-8 string for text files, a Buffer for binary files
+  async getFileContent(owner, repo, path, ref = null) {
     try {
       const response = await this.octokit.rest.repos.getContent({
         owner,
         repo,
         path,
+        ...(ref ? { ref } : {}),
       });
+      const file = response.data;
+
+      // Files over 1 MB come back with an empty body and encoding "none"
+      if (file.encoding === "none" || (!file.content && file.size > 0)) {
+        const buffer = await this.getBlob(owner, repo, file.sha);
+        return decodeFileContent(buffer, path);
+      }
 
       // ⚠ FIX: Node doesn’t have atob; use Buffer
-      return Buffer.from(response.data.content, "base64").toString("utf-8");
+      return decodeFileContent(Buffer.from(file.content, "base64"), path);
     } catch (error) {
       console.error("❌ Error fetching file content:", error);
       throw error;
     }
   }
 
+  // List branch and tag names for picking what to preview or save. Only the first 100 of
+  // each, in GitHub's order rather than by date; anything else can still be typed in.
+  async getRefs(owner, repo) {
+    try {
+      const [branches, tags] = await Promise.all([
+        this.octokit.rest.repos.listBranches({ owner, repo, per_page: 100 }),
+        this.octokit.rest.repos.listTags({ owner, repo, per_page: 100 }),
+      ]);
+      return {
+        branches: branches.data.map((branch) => branch.name),
+        tags: tags.data.map((tag) => tag.name),
+      };
+    } catch (error) {
+      console.error("❌ Error fetching branches and tags:", error);
+      throw error;
+    }
+  }
+
+  // Get the README GitHub shows for a repository (README.md, readme.rst, docs/README.md...)
+  async getReadme(owner, repo, ref = null) {
+    try {
+      const response = await this.octokit.rest.repos.getReadme({
+        owner,
+        repo,
+        ...(ref ? { ref } : {}),
+      });
+      const file = response.data;
+      return {
+        path: file.path,
+        name: file.name,
+        content: Buffer.from(file.content, "base64").toString("utf-8"),
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      console.error("❌ Error fetching README:", error);
+      throw error;
+    }
+  }
+
+  // Get raw blob bytes through the Git Blobs API (works up to 100 MB)
+  async getBlob(owner, repo, sha, signal = null) {
+    try {
+      const response = await this.octokit.rest.git.getBlob({
+        owner,
+        repo,
+        file_sha: sha,
+        request: { signal },
+      });
+      return Buffer.from(response.data.content, response.data.encoding === "base64" ? "base64" : "utf-8");
+    } catch (error) {
+      console.error("❌ Error fetching blob:", error);
+      throw error;
+    }
+  }
+
+  // Resolve a branch, tag or SHA to a full commit SHA
+  async getCommitSha(owner, repo, ref) {
+    try {
+      const response = await this.octokit.rest.repos.getCommit({
+        owner,
+        repo,
+        ref,
+        mediaType: { format: "sha" },
+      });
+      return String(response.data).trim();
+    } catch (error) {
+      console.error("❌ Error resolving commit SHA:", error);
+      throw error;
+    }
+  }
+
+  // Everything the insights panel shows about a repository's health. Each part is
+  // fetched on its own, so a missing one (no releases, stats still being computed,
+  // a 403 on contributors for huge repos) comes back as null instead of failing it all.
+  async getRepositoryInsights(owner, repo) {
+    const [repoData, languages, contributors, releases, pullRequests, activity] = await Promise.allSettled([
+      this.getRepository(owner, repo),
+      this.octokit.rest.repos.listLanguages({ owner, repo }),
+      this.octokit.rest.repos.listContributors({ owner, repo, per_page: INSIGHTS_CONTRIBUTORS }),
+      this.octokit.rest.repos.listReleases({ owner, repo, per_page: INSIGHTS_RELEASES }),
+      this.octokit.rest.pulls.list({ owner, repo, state: "open", per_page: 1 }),
+      this.octokit.rest.repos.getCommitActivityStats({ owner, repo }),
+    ]);
+
+    // Without the repository itself there is nothing to show
+    if (repoData.status === "rejected") {
+      console.error("❌ Error fetching repository insights:", repoData.reason);
+      throw repoData.reason;
+    }
+    const data = repoData.value;
+    const value = (result, name) => {
+      if (result.status === "fulfilled") return result.value;
+      console.warn(`Insights: no ${name} for ${owner}/${repo}:`, result.reason.message);
+      return null;
+    };
+
+    const languageBytes = value(languages, "languages");
+    const totalBytes = languageBytes ? Object.values(languageBytes.data).reduce((sum, bytes) => sum + bytes, 0) : 0;
+
+    // The issues count includes pull requests; the last page number of a
+    // one-per-page PR list is the open PR count
+    const pulls = value(pullRequests, "pull requests");
+    let openPullRequests = null;
+    if (pulls) {
+      const lastPage = (pulls.headers.link || "").match(/[?&]page=(\d+)>;\s*rel="last"/);
+      openPullRequests = lastPage ? parseInt(lastPage[1], 10) : pulls.data.length;
+    }
+
+    // GitHub answers 202 with no body while it computes the stats for the first time
+    const stats = value(activity, "commit activity");
+    const weeks = stats && stats.status === 200 && Array.isArray(stats.data) ? stats.data : null;
+
+    return {
+      fullName: data.full_name,
+      fetchedAt: new Date().toISOString(),
+      description: data.description,
+      stars: data.stargazers_count,
+      forks: data.forks_count,
+      watchers: data.subscribers_count,
+      openIssues: openPullRequests === null ? null : Math.max(0, data.open_issues_count - openPullRequests),
+      openPullRequests,
+      license: data.license ? { spdxId: data.license.spdx_id, name: data.license.name } : null,
+      topics: data.topics || [],
+      createdAt: data.created_at,
+      pushedAt: data.pushed_at,
+      archived: data.archived,
+      languages: languageBytes
+        ? Object.entries(languageBytes.data).map(([name, bytes]) => ({
+          name,
+          bytes,
+          percent: totalBytes > 0 ? Math.round((bytes / totalBytes) * 1000) / 10 : 0,
+        }))
+        : null,
+      contributors: value(contributors, "contributors")
+        // An empty repository answers 204 with no body
+        ? (contributors.value.data || []).map((contributor) => ({
+          login: contributor.login,
+          avatarUrl: contributor.avatar_url,
+          htmlUrl: contributor.html_url,
+          contributions: contributor.contributions,
+        }))
+        : null,
+      releases: value(releases, "releases")
+        ? releases.value.data.map((release) => ({
+          name: release.name || release.tag_name,
+          tagName: release.tag_name,
+          publishedAt: release.published_at,
+          prerelease: release.prerelease,
+          htmlUrl: release.html_url,
+        }))
+        : null,
+      // Commits per week over the last 52 weeks, oldest first
+      activity: weeks ? weeks.map((week) => ({ week: week.week * 1000, total: week.total })) : null,
+      activityPending: !!stats && stats.status === 202,
+      ...(data.offline ? { offline: true, cachedAt: data.cachedAt } : {}),
+    };
+  }
+
+  // Compare two commits (lists at most 300 changed files)
+  async compareCommits(owner, repo, base, head) {
+    try {
+      const response = await this.octokit.rest.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${base}...${head}`,
+      });
+      return response.data;
+    } catch (error) {
+      console.error("❌ Error comparing commits:", error);
+      throw error;
+    }
+  }
+
+  // Get the full recursive git tree of a commit or tree SHA
+  async getTree(owner, repo, treeSha) {
+    try {
+      const response = await this.octokit.rest.git.getTree({
+        owner,
+        repo,
+        tree_sha: treeSha,
+        recursive: "true",
+      });
+      // Anything missing from a partial list would look deleted to whoever diffs against it
+      if (response.data.truncated) {
+        throw Object.assign(new Error(`Tree for ${owner}/${repo}@${treeSha} is too large for GitHub to list in full`), { truncated: true });
+      }
+      return response.data.tree;
+    } catch (error) {
+      console.error("❌ Error fetching repository tree:", error);
+      throw error;
+    }
+  }
+
+  // Stream the gzipped tarball of a repository at a given ref
+  async getRepositoryArchiveStream(owner, repo, ref, signal = null) {
+    try {
+      const response = await this.octokit.request("GET /repos/{owner}/{repo}/tarball/{ref}", {
+        owner,
+        repo,
+        ref,
+        request: { parseSuccessResponseBody: false, signal },
+      });
+      const length = parseInt(response.headers["content-length"], 10);
+      return {
+        stream: webStreamToNode(response.data),
+        totalBytes: Number.isNaN(length) ? null : length,
+      };
+    } catch (error) {
+      console.error("❌ Error downloading repository archive:", error);
+      throw error;
+    }
+  }
+
   // Recursively get all files in a repo
-  async getAllRepositoryFiles(owner, repo, path = "") {
+  async getAllRepositoryFiles(owner, repo, path = "", ref = null) {
     try {
-      const contents = await this.getRepositoryContents(owner, repo, path);
+      const contents = await this.getRepositoryContents(owner, repo, path, ref);
       let allFiles = [];
 
       for (const item of contents) {
         if (item.type === "file") {
-          const content = await this.getFileContent(owner, repo, item.path);
+          // Skip the Contents API round trip when we already know it won't inline the file
+          const content = item.size > CONTENTS_API_MAX_SIZE
+            ? decodeFileContent(await this.getBlob(owner, repo, item.sha), item.path)
+            : await this.getFileContent(owner, repo, item.path, ref);
           allFiles.push({
             path: item.path,
             content,
@@ -102,7 +639,7 @@ class GitHubAPI {
           });
         } else if (item.type === "dir") {
           // Recurse into directories
-          const subFiles = await this.getAllRepositoryFiles(owner, repo, item.path);
+          const subFiles = await this.getAllRepositoryFiles(owner, repo, item.path, ref);
           allFiles = allFiles.concat(subFiles);
         }
       }
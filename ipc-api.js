@@ -0,0 +1,434 @@
+// ipc-api.js - Main-process side of the preload bridge. It owns the GitHub client and
+// every service that touches the disk; the page only reaches them through these channels.
+const { app, BrowserWindow, dialog, ipcMain, shell } = require('electron');
+const path = require('path');
+const GitHubAPI = require('./github-api');
+const ApiCache = require('./api-cache');
+const RepoUpdater = require('./repo-updater');
+const DownloadManager = require('./download-manager');
+const DownloadQueue = require('./download-queue');
+const SearchIndex = require('./search-index');
+const CodeRenderer = require('./code-renderer');
+const FileFilter = require('./file-filter');
+const LibraryBundle = require('./library-bundle');
+
+// owner/name as GitHub allows them ("." and ".." are not names); anything else never
+// reaches a path or a git command
+const FULL_NAME_PATTERN = /^(?!\.\.?\/)[\w.-]+\/(?!\.\.?$)[\w.-]+$/;
+
+class IpcApi {
+    constructor(repoStorage) {
+        this.repoStorage = repoStorage;
+        this.apiCache = new ApiCache(repoStorage);
+        this.githubAPI = this.createClient(null);
+        this.repoUpdater = new RepoUpdater(this.githubAPI, repoStorage);
+        this.downloadManager = new DownloadManager(this.githubAPI, repoStorage);
+        this.downloadQueue = new DownloadQueue(this.downloadManager, repoStorage);
+        this.searchIndex = new SearchIndex(repoStorage);
+        this.codeRenderer = new CodeRenderer();
+        this.libraryBundle = new LibraryBundle(repoStorage);
+        this.webContents = null; // the page that receives queue updates
+        this.pickedFolder = null; // folder chosen for "Add Local Repo", so the page never sends a path
+
+        this.downloadManager.onComplete = (repo) => {
+            this.indexRepo(repo);
+            this.cacheInsights(repo);
+        };
+        this.repoUpdater.onComplete = (repo) => this.indexRepo(repo);
+        this.downloadQueue.onChange = () => this.send('queue:changed', this.getQueueState());
+
+        // Every handler waits for the library database to open
+        this.ready = repoStorage.init().then(() => {
+            this.apiCache.prune().catch(error => console.warn('Cache cleanup failed:', error.message));
+        });
+    }
+
+    attach(webContents) {
+        this.webContents = webContents;
+    }
+
+    send(channel, ...args) {
+        if (this.webContents && !this.webContents.isDestroyed()) {
+            this.webContents.send(channel, ...args);
+        }
+    }
+
+    // ipcRenderer.invoke only keeps an error's message, so failures are sent back
+    // as data; preload.js turns them back into rejections
+    wrap(handler) {
+        return async (event, ...args) => {
+            try {
+                await this.ready;
+                return { value: await handler(event, ...args) };
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('❌ IPC call failed:', error.message);
+                }
+                return { error: { name: error.name, message: error.message, status: error.status || null } };
+            }
+        };
+    }
+
+    handle(channel, handler) {
+        ipcMain.handle(channel, this.wrap((event, ...args) => handler(...args)));
+    }
+
+    // The page sends a progress id first; progress updates go back tagged with it
+    // and the handler gets the reporting function as its last argument
+    handleWithProgress(channel, handler) {
+        ipcMain.handle(channel, this.wrap((event, progressId, ...args) => {
+            const onProgress = (progress) => {
+                if (!event.sender.isDestroyed()) event.sender.send('progress', progressId, progress);
+            };
+            return handler(...args, onProgress);
+        }));
+    }
+
+    // Validate a token against /user before everything switches over to it
+    async signIn(accessToken) {
+        const githubAPI = this.createClient(accessToken);
+        const user = await githubAPI.getAuthenticatedUser();
+        this.setGitHubAPI(githubAPI);
+        return user;
+    }
+
+    // Cached responses include the account and its private repos, and the offline
+    // fallback would serve them to whoever uses the app next
+    async signOut() {
+        this.setGitHubAPI(this.createClient(null));
+        await this.apiCache.clear();
+    }
+
+    // Rate limit changes go straight to the page for the header, but only from the
+    // client in use; a replaced one may still be finishing a request
+    createClient(accessToken) {
+        const client = new GitHubAPI(accessToken, {
+            cache: this.apiCache,
+            onRateLimit: (rateLimits) => {
+                if (this.githubAPI === client) this.send('github:rateLimit', rateLimits);
+            }
+        });
+        return client;
+    }
+
+    // Everything that talks to GitHub shares one client
+    setGitHubAPI(githubAPI) {
+        this.githubAPI = githubAPI;
+        this.repoUpdater.githubAPI = githubAPI;
+        this.downloadManager.githubAPI = githubAPI;
+        this.send('github:rateLimit', { ...githubAPI.rateLimits });
+    }
+
+    indexRepo(repo) {
+        this.searchIndex.build(repo).catch(error => console.error('❌ Indexing failed:', error));
+    }
+
+    // Saved repos keep a copy of their insights for offline viewing. Folders added from
+    // disk only have GitHub insights when their remote is on GitHub.
+    cacheInsights(repo) {
+        if (repo.mode === 'local' || (repo.sourcePath && !/github\.com[/:]/.test(repo.cloneUrl || ''))) {
+            return Promise.resolve(null);
+        }
+        const [owner, name] = repo.fullName.split('/');
+        return this.githubAPI.getRepositoryInsights(owner, name)
+            .then(insights => this.repoStorage.writeRepoInsights(repo.localPath, insights).then(() => insights))
+            .catch(error => {
+                console.warn(`Could not cache insights for ${repo.fullName}:`, error.message);
+                return null;
+            });
+    }
+
+    // Live insights for any repo; saved copies are refreshed on the way, and serve
+    // as the answer when GitHub can't be reached
+    async getInsights(fullName) {
+        const [owner, name] = fullName.split('/');
+        const saved = this.repoStorage.getAllRepos().filter(repo => repo.fullName === fullName && repo.mode !== 'local');
+
+        try {
+            const insights = await this.githubAPI.getRepositoryInsights(owner, name);
+            await Promise.all(saved.map(repo => this.repoStorage.writeRepoInsights(repo.localPath, insights)
+                .catch(error => console.warn('Could not cache insights:', error.message))));
+            return insights;
+        } catch (error) {
+            if (error.response && error.status < 500) throw error;
+            for (const repo of saved) {
+                const cached = await this.repoStorage.readRepoInsights(repo.localPath).catch(() => null);
+                if (cached) return { ...cached, offline: true, cachedAt: cached.fetchedAt };
+            }
+            throw error;
+        }
+    }
+
+    getRepo(id) {
+        const repo = this.repoStorage.findRepoById(id);
+        if (!repo) {
+            throw new Error('Repository not found in library');
+        }
+        return repo;
+    }
+
+    // Native file dialogs, attached to the app window when there is one
+    showDialog(method, options) {
+        const window = this.webContents ? BrowserWindow.fromWebContents(this.webContents) : null;
+        return window ? dialog[method](window, options) : dialog[method](options);
+    }
+
+    // Moving or deleting a folder that is still being written would corrupt it
+    assertNotBusy(repo) {
+        if (this.downloadManager.isActive(repo.id)) {
+            throw new Error(`${repo.fullName} is still downloading`);
+        }
+    }
+
+    checkRepoData(repoData, category) {
+        if (!repoData || !FULL_NAME_PATTERN.test(repoData.fullName || '')) {
+            throw new Error(`Invalid repository name: "${repoData && repoData.fullName}"`);
+        }
+        return this.repoStorage.validateCategoryName(category);
+    }
+
+    // git clone takes transports and options along with URLs, so clones only ever come
+    // from the GitHub URL built here, never from one the page sends
+    getCloneUrl(fullName) {
+        if (!FULL_NAME_PATTERN.test(fullName || '')) {
+            throw new Error(`Invalid repository name: "${fullName}"`);
+        }
+        return `https://github.com/${fullName}.git`;
+    }
+
+    toFilter(filter) {
+        const fileFilter = filter ? FileFilter.from(filter) : null;
+        return fileFilter && !fileFilter.isEmpty() ? fileFilter : null;
+    }
+
+    getQueueState() {
+        const queue = this.downloadQueue;
+        return {
+            items: queue.items.map(item => ({
+                id: item.id,
+                repoId: item.repoId,
+                fullName: item.repoData.fullName,
+                category: item.category,
+                ref: item.ref,
+                mode: item.mode,
+                status: item.status,
+                progress: item.progress,
+                error: item.error
+            })),
+            counts: queue.getCounts(),
+            pausedUntil: queue.pausedUntil,
+            concurrency: queue.concurrency
+        };
+    }
+
+    // What a file filter keeps, straight from the git tree, before anything is downloaded
+    async previewFilter(fullName, ref, filter) {
+        const [owner, name] = fullName.split('/');
+        const resolvedRef = ref || (await this.githubAPI.getRepository(owner, name)).default_branch;
+        const blobs = (await this.githubAPI.getTree(owner, name, resolvedRef)).filter(item => item.type === 'blob');
+        const fileFilter = this.toFilter(filter);
+        const kept = fileFilter ? blobs.filter(blob => fileFilter.matches(blob.path, blob.size)) : blobs;
+        const sizeOf = (files) => files.reduce((total, file) => total + (file.size || 0), 0);
+
+        return {
+            files: kept.slice(0, 200).map(blob => ({ path: blob.path, size: blob.size || 0 })),
+            keptCount: kept.length,
+            totalCount: blobs.length,
+            keptSize: sizeOf(kept),
+            totalSize: sizeOf(blobs)
+        };
+    }
+
+    register() {
+        const github = () => this.githubAPI;
+
+        this.handle('github:searchRepositories', (query, options) => github().searchRepositories(query, options));
+        this.handle('github:buildSearchQuery', (text, filters) => github().buildSearchQuery(text, filters));
+        this.handle('github:getRepository', (owner, repo) => github().getRepository(owner, repo));
+        this.handle('github:getReadme', (owner, repo, ref) => github().getReadme(owner, repo, ref));
+        this.handle('github:getFileContent', (owner, repo, filePath, ref) => github().getFileContent(owner, repo, filePath, ref));
+        this.handle('github:getRefs', (owner, repo) => github().getRefs(owner, repo));
+        this.handle('github:getUserOrganizations', () => github().getUserOrganizations());
+        this.handle('github:getInsights', (fullName) => this.getInsights(fullName));
+        this.handle('github:getRateLimits', () => ({ ...github().rateLimits }));
+        this.handleWithProgress('github:getUserRepositories', (onProgress) => github().getUserRepositories(onProgress));
+        this.handleWithProgress('github:getStarredRepositories', (onProgress) => github().getStarredRepositories(onProgress));
+        this.handleWithProgress('github:getOrganizationRepositories', (org, onProgress) => github().getOrganizationRepositories(org, onProgress));
+        this.handle('github:previewFilter', (fullName, ref, filter) => this.previewFilter(fullName, ref, filter));
+
+        const storage = this.repoStorage;
+        this.handle('storage:init', (legacy) => storage.migrateFromLocalStorage(legacy));
+        this.handle('storage:getCategories', () => storage.getCategories());
+        this.handle('storage:getReposByCategory', (category) => storage.getReposByCategory(category));
+        this.handle('storage:getAllRepos', () => storage.getAllRepos());
+        this.handle('storage:getAllTags', () => storage.getAllTags());
+        this.handle('storage:findRepoById', (id) => storage.findRepoById(id));
+        this.handle('storage:findSavedRepo', (fullName, category, ref) => storage.findSavedRepo(fullName, category, ref));
+        this.handle('storage:checkRepoExists', (fullName) => storage.checkRepoExists(fullName));
+        this.handle('storage:saveRepoMetadata', (repoData, category) => {
+            category = this.checkRepoData(repoData, category);
+            const saved = storage.saveRepoMetadata(repoData, category);
+            return { saved: saved, repo: storage.findSavedRepo(repoData.fullName, category, repoData.ref || null) };
+        });
+        // Feeds the "not opened in N months" cleanup
+        this.handle('storage:markOpened', (id) => {
+            storage.updateRepo(this.getRepo(id).id, { lastOpenedAt: new Date().toISOString() });
+        });
+        this.handle('storage:validateCategoryName', (name) => storage.validateCategoryName(name));
+        this.handle('storage:moveRepo', (id, category) => {
+            this.assertNotBusy(this.getRepo(id));
+            return storage.moveRepo(id, category);
+        });
+        this.handle('storage:renameCategory', (oldName, newName) => {
+            storage.getReposByCategory(oldName).forEach(repo => this.assertNotBusy(repo));
+            return storage.renameCategory(oldName, newName);
+        });
+        this.handle('storage:setRepoDetails', (id, details) => storage.setRepoDetails(this.getRepo(id).id, details));
+        this.handle('storage:removeRepo', async (id) => {
+            const repo = this.getRepo(id);
+            this.assertNotBusy(repo);
+            await storage.removeRepo(repo.fullName, repo.category, repo.pinnedRef || null);
+            await this.searchIndex.remove(repo.id);
+        });
+        this.handle('storage:removeRepoEntries', (ids) => storage.removeRepoEntries(ids));
+        this.handle('storage:rescanLibrary', () => storage.rescanLibrary());
+        this.handle('storage:getStorageUsage', () => storage.getStorageUsage());
+        this.handle('storage:getStaleRepos', (months) => {
+            return storage.getStaleRepos(months).filter(repo => !this.downloadManager.isActive(repo.id));
+        });
+        // Step one of adding a local repo: choose the folder and show what was found in it
+        this.handle('storage:pickLocalFolder', async () => {
+            const { canceled, filePaths } = await this.showDialog('showOpenDialog', {
+                title: 'Add a local repository or folder',
+                properties: ['openDirectory']
+            });
+            if (canceled || filePaths.length === 0) return null;
+
+            const info = await storage.inspectLocalFolder(filePaths[0]);
+            this.pickedFolder = info.sourceDir;
+            return info;
+        });
+        this.handle('storage:addLocalRepo', async (category, options) => {
+            if (!this.pickedFolder) {
+                throw new Error('No folder chosen');
+            }
+            const fullName = options.fullName || (await storage.inspectLocalFolder(this.pickedFolder)).fullName;
+            category = this.checkRepoData({ fullName: fullName }, category);
+
+            const repo = await storage.addLocalRepo(this.pickedFolder, category, { link: !!options.link, fullName: fullName });
+            this.pickedFolder = null;
+            this.indexRepo(repo);
+            this.cacheInsights(repo);
+            return repo;
+        });
+        this.handle('storage:getRepoFileTree', (id) => storage.getRepoFileTree(this.getRepo(id).localPath));
+        this.handle('storage:readRepoFile', (id, relPath) => storage.readRepoFile(this.getRepo(id).localPath, relPath));
+        this.handle('storage:readRepoAsset', (id, relPath) => storage.readRepoAsset(this.getRepo(id).localPath, relPath));
+        this.handle('storage:getInsights', (id) => storage.readRepoInsights(this.getRepo(id).localPath));
+        this.handle('storage:findReadme', (id) => storage.findReadme(this.getRepo(id).localPath));
+
+        this.handleWithProgress('downloads:download', (id, options, onProgress) => {
+            return this.downloadManager.download(this.getRepo(id), {
+                ref: options.ref,
+                filter: this.toFilter(options.filter),
+                onProgress: onProgress
+            });
+        });
+        this.handleWithProgress('downloads:clone', (id, options, onProgress) => {
+            const repo = this.getRepo(id);
+            return this.downloadManager.clone(repo, this.getCloneUrl(repo.fullName), {
+                shallow: options.shallow,
+                ref: options.ref,
+                onProgress: onProgress
+            });
+        });
+        this.handle('downloads:cancel', (id) => this.downloadManager.cancel(id));
+
+        const queue = this.downloadQueue;
+        this.handle('queue:getState', () => this.getQueueState());
+        this.handle('queue:add', (repoData, category, options) => {
+            category = this.checkRepoData(repoData, category);
+            repoData = { ...repoData, cloneUrl: this.getCloneUrl(repoData.fullName) };
+            return queue.add(repoData, category, { ...options, filter: this.toFilter(options.filter) }).id;
+        });
+        this.handle('queue:addMany', (repos, category, options) => {
+            repos = repos.map(repoData => {
+                this.checkRepoData(repoData, category);
+                return { ...repoData, cloneUrl: this.getCloneUrl(repoData.fullName) };
+            });
+            const result = queue.addMany(repos, storage.validateCategoryName(category), { ...options, filter: this.toFilter(options.filter) });
+            return { queued: result.queued.map(item => item.id), skipped: result.skipped };
+        });
+        this.handle('queue:retry', (id) => queue.retry(id));
+        this.handle('queue:cancel', (id) => queue.cancel(id));
+        this.handle('queue:remove', (id) => queue.remove(id));
+        this.handle('queue:clearFinished', () => queue.clearFinished());
+        this.handle('queue:setConcurrency', (concurrency) => queue.setConcurrency(concurrency));
+
+        this.handleWithProgress('updater:updateRepo', (id, onProgress) => this.repoUpdater.updateRepo(this.getRepo(id), onProgress));
+        this.handleWithProgress('updater:checkAll', async (onProgress) => {
+            const results = await this.repoUpdater.checkAll(onProgress);
+            return results.map(result => ({ fullName: result.repo.fullName, updateAvailable: result.updateAvailable, error: result.error || null }));
+        });
+
+        this.handle('search:search', (query) => this.searchIndex.search(query));
+        this.handle('search:parseQuery', (query) => this.searchIndex.parseQuery(query));
+        this.handle('search:getUnindexedRepos', () => this.searchIndex.getUnindexedRepos());
+        // The index itself stays in main; the page only needs to know it was built
+        this.handle('search:build', async (id) => {
+            const index = await this.searchIndex.build(this.getRepo(id));
+            return { fileCount: index.files.length, builtAt: index.builtAt };
+        });
+
+        // Main asks where the bundle goes (or comes from), so the page never names a path.
+        // Both resolve to null when the dialog is cancelled.
+        this.handleWithProgress('bundles:export', async (ids, name, onProgress) => {
+            const repos = ids.map(id => this.getRepo(id));
+            repos.forEach(repo => this.assertNotBusy(repo));
+            if (repos.length === 0) {
+                throw new Error('Nothing to export');
+            }
+
+            const { canceled, filePath } = await this.showDialog('showSaveDialog', {
+                title: 'Export repositories',
+                defaultPath: path.join(app.getPath('downloads'), `${(name || 'repospace').replace(/[\\/:*?"<>|]/g, '-')}.zip`),
+                filters: [
+                    { name: 'Zip archive', extensions: ['zip'] },
+                    { name: 'Gzipped tarball', extensions: ['tar.gz', 'tgz'] }
+                ]
+            });
+            if (canceled || !filePath) return null;
+            return this.libraryBundle.exportBundle(repos, filePath, { onProgress: onProgress });
+        });
+        this.handleWithProgress('bundles:import', async (onProgress) => {
+            const { canceled, filePaths } = await this.showDialog('showOpenDialog', {
+                title: 'Import a RepoSpace bundle',
+                properties: ['openFile'],
+                filters: [{ name: 'RepoSpace bundles', extensions: ['zip', 'gz', 'tgz'] }]
+            });
+            if (canceled || filePaths.length === 0) return null;
+
+            const result = await this.libraryBundle.importBundle(filePaths[0], { onProgress: onProgress });
+            result.imported.forEach(repo => this.indexRepo(repo));
+            return result;
+        });
+
+        this.handle('render:markdown', (content) => this.codeRenderer.markdownToHtml(content));
+        this.handle('render:highlight', (content, filePath) => this.codeRenderer.highlight(content, filePath));
+
+        // Links from READMEs open in the system browser, never inside the app window
+        this.handle('shell:openExternal', async (url) => {
+            if (!/^(https?|mailto):/i.test(url)) {
+                throw new Error('Unsupported link');
+            }
+            await shell.openExternal(url);
+        });
+        this.handle('shell:openRepoFolder', (id) => {
+            const repo = this.getRepo(id);
+            shell.showItemInFolder(repo.localPath);
+            storage.updateRepo(repo.id, { lastOpenedAt: new Date().toISOString() });
+        });
+    }
+}
+
+module.exports = IpcApi;
@@ -0,0 +1,313 @@
+// library-bundle.js - Packs saved repositories into one .zip or .tar.gz file for machines
+// without internet, and registers the repos from such a bundle in this library
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
+const yazl = require('yazl');
+const extractZip = require('extract-zip');
+
+// Sits at the root of every bundle, next to the category folders
+const MANIFEST_NAME = 'repospace-bundle.json';
+const BUNDLE_FORMAT = 'repospace-bundle';
+const BUNDLE_VERSION = 1;
+
+// .tar.gz keeps file modes and symlinks exactly; .zip opens anywhere
+function getBundleType(filePath) {
+    const name = filePath.toLowerCase();
+    if (name.endsWith('.zip')) return 'zip';
+    if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tar';
+    throw new Error('Bundles must be .zip or .tar.gz files');
+}
+
+class LibraryBundle {
+    constructor(repoStorage) {
+        this.repoStorage = repoStorage;
+    }
+
+    // Inside a bundle a repo keeps its ~/RepoSpace layout: category/owner-repo
+    getBundlePath(repo) {
+        return path.relative(this.repoStorage.baseDir, repo.localPath).split(path.sep).join('/');
+    }
+
+    // Write `repos` (library entries) to bundlePath. The file only appears once it is complete.
+    async exportBundle(repos, bundlePath, options = {}) {
+        const { onProgress = null } = options;
+        const type = getBundleType(bundlePath);
+        const progress = { stage: 'packing', repoCount: repos.length, fileCount: 0, currentFile: null };
+        const report = () => {
+            if (onProgress) onProgress({ ...progress });
+        };
+        const partialPath = `${bundlePath}.partial`;
+
+        try {
+            const entries = [];
+            for (const repo of repos) {
+                if (!(await fs.pathExists(repo.localPath))) {
+                    throw new Error(`Folder of ${repo.fullName} is missing: ${repo.localPath}`);
+                }
+                // The bundle should carry the library's current category, tags and notes
+                await this.repoStorage.syncRepoMetadata(repo);
+
+                // Whether and where a repo was linked only matters on this machine
+                entries.push({ ...this.repoStorage.getPortableFields(repo), path: this.getBundlePath(repo) });
+            }
+
+            const manifest = Buffer.from(JSON.stringify({
+                format: BUNDLE_FORMAT,
+                version: BUNDLE_VERSION,
+                exportedAt: new Date().toISOString(),
+                repos: entries
+            }, null, 2));
+
+            if (type === 'zip') {
+                await this.writeZip(partialPath, manifest, entries, progress, report);
+            } else {
+                await this.writeTar(partialPath, manifest, entries, progress, report);
+            }
+            await fs.move(partialPath, bundlePath, { overwrite: true });
+
+            const { size } = await fs.stat(bundlePath);
+            console.log(`📦 Exported ${repos.length} repos (${progress.fileCount} files) to: ${bundlePath}`);
+            return { path: bundlePath, repoCount: repos.length, fileCount: progress.fileCount, size: size };
+        } catch (error) {
+            await fs.remove(partialPath).catch(() => {});
+            console.error('Failed to export bundle:', error);
+            throw error;
+        }
+    }
+
+    async writeTar(filePath, manifest, entries, progress, report) {
+        const pack = new tar.Pack({
+            cwd: this.repoStorage.baseDir,
+            gzip: true,
+            portable: true,
+            filter: (entryPath, stat) => {
+                // The manifest comes through here too, as a ReadEntry without isFile()
+                if (typeof stat.isFile === 'function' && stat.isFile()) {
+                    progress.fileCount++;
+                    progress.currentFile = entryPath;
+                    report();
+                }
+                return true;
+            }
+        });
+
+        const manifestEntry = new tar.ReadEntry(new tar.Header({
+            path: MANIFEST_NAME,
+            type: 'File',
+            mode: 0o644,
+            size: manifest.length,
+            mtime: new Date()
+        }));
+        manifestEntry.end(manifest);
+
+        pack.add(manifestEntry);
+        for (const entry of entries) {
+            const repoDir = path.join(this.repoStorage.baseDir, entry.path);
+            if ((await fs.lstat(repoDir)).isSymbolicLink()) {
+                // A linked repo's folder is a symlink; adding what's inside stores the real files
+                const names = await fs.readdir(repoDir);
+                names.forEach(name => pack.add(`${entry.path}/${name}`));
+            } else {
+                pack.add(entry.path);
+            }
+        }
+        pack.end();
+
+        await pipeline(pack, fs.createWriteStream(filePath));
+    }
+
+    async writeZip(filePath, manifest, entries, progress, report) {
+        const zip = new yazl.ZipFile();
+        // yazl reports unreadable files on the ZipFile, not on its output
+        zip.on('error', error => zip.outputStream.destroy(error));
+        const written = pipeline(zip.outputStream, fs.createWriteStream(filePath));
+
+        zip.addBuffer(manifest, MANIFEST_NAME);
+        for (const entry of entries) {
+            const repoDir = path.join(this.repoStorage.baseDir, entry.path);
+            for (const file of await this.collectFiles(repoDir)) {
+                const name = `${entry.path}/${file.relPath}`;
+                if (file.stat.isSymbolicLink()) {
+                    // Stored the way zip tools expect: the link target as content, S_IFLNK in the mode
+                    zip.addBuffer(Buffer.from(await fs.readlink(file.fullPath)), name, { mode: file.stat.mode, mtime: file.stat.mtime });
+                    continue;
+                }
+                // Opened one at a time as yazl gets to them, which is also when progress moves
+                zip.addReadStreamLazy(name, { mode: file.stat.mode, mtime: file.stat.mtime, size: file.stat.size }, (callback) => {
+                    progress.fileCount++;
+                    progress.currentFile = name;
+                    report();
+                    callback(null, fs.createReadStream(file.fullPath));
+                });
+            }
+        }
+        zip.end();
+
+        await written;
+    }
+
+    // Every file and symlink under dirPath, including .git and RepoSpace's own files
+    async collectFiles(dirPath, relDir = '', files = []) {
+        const entries = await fs.readdir(path.join(dirPath, relDir), { withFileTypes: true });
+        for (const entry of entries) {
+            const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+            const fullPath = path.join(dirPath, relPath);
+            if (entry.isDirectory()) {
+                await this.collectFiles(dirPath, relPath, files);
+            } else if (entry.isFile() || entry.isSymbolicLink()) {
+                files.push({ relPath: relPath, fullPath: fullPath, stat: await fs.lstat(fullPath) });
+            }
+        }
+        return files;
+    }
+
+    // Unpack a bundle and add its repos to the library with their categories.
+    // Repos already in the library are skipped, never overwritten.
+    async importBundle(bundlePath, options = {}) {
+        const { onProgress = null } = options;
+        const type = getBundleType(bundlePath);
+        const progress = { stage: 'extracting', fileCount: 0, currentFile: null };
+        const report = () => {
+            if (onProgress) onProgress({ ...progress });
+        };
+        const countEntry = (entryPath) => {
+            progress.fileCount++;
+            progress.currentFile = entryPath;
+            report();
+        };
+
+        // Unpacked next to the category folders so moving a repo into place is a rename;
+        // rescans ignore dot folders
+        const stagingDir = path.join(this.repoStorage.baseDir, `.repospace-import-${crypto.randomUUID()}`);
+        const result = { imported: [], skipped: [] };
+
+        try {
+            await fs.ensureDir(stagingDir);
+            if (type === 'zip') {
+                await extractZip(bundlePath, { dir: stagingDir, onEntry: (entry) => countEntry(entry.fileName) });
+            } else {
+                await tar.x({ file: bundlePath, cwd: stagingDir, onentry: (entry) => countEntry(entry.path) });
+            }
+
+            const manifest = await this.readManifest(stagingDir);
+            progress.stage = 'registering';
+            report();
+
+            for (const entry of manifest.repos) {
+                try {
+                    result.imported.push(await this.importRepo(stagingDir, entry));
+                } catch (error) {
+                    console.warn(`Skipped ${entry.fullName} from bundle:`, error.message);
+                    result.skipped.push({ fullName: entry.fullName || entry.path, reason: error.message });
+                }
+            }
+            this.repoStorage.writeDb();
+
+            console.log(`📥 Imported ${result.imported.length} repos from ${bundlePath} (${result.skipped.length} skipped)`);
+            return result;
+        } catch (error) {
+            console.error('Failed to import bundle:', error);
+            throw error;
+        } finally {
+            await fs.remove(stagingDir).catch(error => console.warn('Could not remove import folder:', error.message));
+        }
+    }
+
+    async readManifest(stagingDir) {
+        const manifestPath = path.join(stagingDir, MANIFEST_NAME);
+        const manifest = (await fs.pathExists(manifestPath)) ? await fs.readJSON(manifestPath) : null;
+        if (!manifest || manifest.format !== BUNDLE_FORMAT || !Array.isArray(manifest.repos)) {
+            throw new Error('Not a RepoSpace bundle');
+        }
+        if (manifest.version > BUNDLE_VERSION) {
+            throw new Error('This bundle was made by a newer version of RepoSpace');
+        }
+        return manifest;
+    }
+
+    // Move one unpacked repo into the library; returns the new library entry
+    async importRepo(stagingDir, entry) {
+        const storage = this.repoStorage;
+        const category = storage.validateCategoryName(entry.category);
+        const pinnedRef = entry.pinnedRef || null;
+        if (typeof entry.fullName !== 'string' || typeof entry.path !== 'string') {
+            throw new Error('Incomplete bundle entry');
+        }
+
+        // Both folders come from the bundle, so neither may point outside where it belongs
+        const sourceDir = path.resolve(stagingDir, entry.path);
+        const targetDir = storage.getRepoPath(entry.fullName, category, pinnedRef);
+        if (path.dirname(path.dirname(sourceDir)) !== stagingDir || path.dirname(targetDir) !== path.join(storage.baseDir, category)) {
+            throw new Error(`Invalid path in bundle: ${entry.path}`);
+        }
+        if (!(await fs.pathExists(sourceDir))) {
+            throw new Error(`Files missing from bundle: ${entry.path}`);
+        }
+        if (storage.findSavedRepo(entry.fullName, category, pinnedRef)) {
+            throw new Error(`Already saved in "${category}"`);
+        }
+        if (await fs.pathExists(targetDir)) {
+            throw new Error(`Folder already exists: ${targetDir}`);
+        }
+
+        const mode = await this.cleanGitDir(sourceDir, entry.mode);
+        await fs.move(sourceDir, targetDir);
+
+        // A linked repo arrives as real files, so the copy is an ordinary saved folder.
+        // Bundles made before these fields were left out may still carry them.
+        const { path: bundlePath, ...fields } = this.repoStorage.getPortableFields(entry);
+        const repo = {
+            ...fields,
+            mode: mode,
+            id: crypto.randomUUID(),
+            pinnedRef: pinnedRef,
+            localPath: targetDir,
+            category: category
+        };
+        storage.getAllRepos().push(repo);
+        await storage.syncRepoMetadata(repo);
+        return repo;
+    }
+
+    // Whoever made the bundle also wrote its .git, and git runs commands named in a repo's
+    // config (core.fsmonitor, core.sshCommand, remote.*.uploadpack...) and hooks. Only the
+    // remote survives the import. Returns the mode the repo can still be updated in.
+    async cleanGitDir(repoDir, mode) {
+        const gitDir = path.join(repoDir, '.git');
+        const stats = await fs.lstat(gitDir).catch(() => null);
+        if (!stats) return mode;
+        if (!stats.isDirectory()) {
+            // A worktree's .git file (or a link) points at a folder on the other machine;
+            // without it the files can still be updated from GitHub like a download
+            await fs.remove(gitDir);
+            return mode === 'clone' ? 'archive' : mode;
+        }
+
+        const configPath = path.join(gitDir, 'config');
+        // Run outside the repo, so git never reads the config it is cleaning
+        const config = (args) => this.repoStorage.git.run(['config', '--file', configPath, ...args], { cwd: this.repoStorage.baseDir });
+        const read = (key) => config(['--get-all', key]).then(output => output.split('\n').filter(Boolean), () => []);
+
+        const kept = {
+            'core.repositoryformatversion': await read('core.repositoryformatversion'),
+            'extensions.objectformat': await read('extensions.objectformat'),
+            'remote.origin.url': await read('remote.origin.url'),
+            'remote.origin.fetch': await read('remote.origin.fetch')
+        };
+
+        await fs.remove(configPath);
+        await fs.emptyDir(path.join(gitDir, 'hooks'));
+        await config(['core.bare', 'false']);
+        for (const [key, values] of Object.entries(kept)) {
+            for (const value of values) {
+                await config(['--add', '--end-of-options', key, value]);
+            }
+        }
+        return mode;
+    }
+}
+
+module.exports = LibraryBundle;
@@ -1,113 +1,223 @@
-const { app, BrowserWindow, ipcMain, shell } = require('electron');
+const { app, BrowserWindow, shell } = require('electron');
 const path = require('path');
 const OAuthHandler = require('./oauth-handler');
-const config = require('./config');
+const TokenStore = require('./token-store');
+
+// config.js is not part of the repo. A client id enables Device Flow, and the
+// secret adds the browser redirect flow; without either, tokens can still be pasted in
+let config = {};
+try {
+  config = require('./config');
+} catch (error) {
+  console.log('ℹ️ No config.js, reading the OAuth app from the environment');
+}
+const clientId = config.clientId || process.env.GITHUB_CLIENT_ID || null;
+const clientSecret = config.clientSecret || process.env.GITHUB_CLIENT_SECRET || null;
 
 const RepoStorage = require('./repo-storage');
+const IpcApi = require('./ipc-api');
 
 const repoStorage = new RepoStorage();
-
-// Example: open repo folder for a given repo name
-function openRepoInFolder(fullName) {
-    const repoPath = repoStorage.getRepoPath(fullName); // this gives ~/RepoSpace/owner-repo
-    shell.showItemInFolder(repoPath);
-}
+let api;
 
 let mainWindow;
 let oauthHandler;
+let tokenStore;
+let deviceFlow = null; // the pending Device Flow sign-in, if any
+
+// A token that can't be stored still works for this session
+async function rememberToken(token) {
+  try {
+    await tokenStore.save(token);
+  } catch (error) {
+    console.warn('Could not persist the access token:', error.message);
+  }
+}
 
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
     webPreferences: {
-      nodeIntegration: true,        // ✅ This allows require() in renderer
-      contextIsolation: false,      // ✅ This allows access to Node.js APIs
-      enableRemoteModule: true      // ✅ This allows remote module access
+      // The page gets no Node access; preload.js exposes the IPC API on window.repospace
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
     }
   });
 
+  // Nothing a README or search result links to may replace or open an app window
+  mainWindow.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^https?:/i.test(url)) shell.openExternal(url);
+    return { action: 'deny' };
+  });
+  mainWindow.webContents.on('will-navigate', (event) => event.preventDefault());
+
+  api.attach(mainWindow.webContents);
   mainWindow.loadFile('index.html');
   
   // Open DevTools in development
   if (process.env.NODE_ENV === 'development') {
     mainWindow.webContents.openDevTools();
   }
-  
-  // Initialize OAuth handler
-  oauthHandler = new OAuthHandler(config.clientId, config.clientSecret);
 }
 
-// Handle OAuth login request from renderer
-ipcMain.handle('start-oauth', async () => {
-  try {
-    const authUrl = oauthHandler.getAuthURL();
-    
-    // Create OAuth window
-    const oauthWindow = new BrowserWindow({
-      width: 600,
-      height: 700,
-      parent: mainWindow,
-      modal: true,
-      webPreferences: {
-        nodeIntegration: false,
-        contextIsolation: true
-      }
-    });
-    
-    oauthWindow.loadURL(authUrl);
-    
-    // Listen for callback URL
-    return new Promise((resolve, reject) => {
-      oauthWindow.webContents.on('will-navigate', async (event, url) => {
-        if (url.startsWith('http://localhost:3000/callback')) {
-          event.preventDefault();
-          
-          // Extract code from URL
-          const urlParams = new URLSearchParams(url.split('?')[1]);
-          const code = urlParams.get('code');
-          const error = urlParams.get('error');
-          
-          oauthWindow.close();
-          
-          if (error) {
-            reject(new Error(`OAuth error: ${error}`));
-            return;
-          }
-          
-          if (code) {
-            try {
-              const accessToken = await oauthHandler.getAccessToken(code);
-              resolve(accessToken);
-            } catch (err) {
-              reject(err);
-            }
-          } else {
-            reject(new Error('No authorization code received'));
+// Run the browser redirect flow in a modal window and return the access token
+function signInWithOAuthWindow() {
+  const authUrl = oauthHandler.getAuthURL();
+  
+  // Create OAuth window
+  const oauthWindow = new BrowserWindow({
+    width: 600,
+    height: 700,
+    parent: mainWindow,
+    modal: true,
+    webPreferences: {
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
+    }
+  });
+  
+  oauthWindow.loadURL(authUrl);
+  
+  // Listen for callback URL; GitHub reaches it through a redirect, not a navigation
+  return new Promise((resolve, reject) => {
+    // Closing the window ourselves also fires 'closed', so stop listening once the callback is in
+    const handleClosed = () => reject(new Error('OAuth window was closed'));
+    let settled = false;
+
+    const handleCallback = async (event, url) => {
+      if (url.startsWith(oauthHandler.redirectUri)) {
+        event.preventDefault();
+        if (settled) return;
+        settled = true;
+        
+        // Extract code from URL
+        const urlParams = new URLSearchParams(url.split('?')[1]);
+        const code = urlParams.get('code');
+        const error = urlParams.get('error');
+        
+        oauthWindow.removeListener('closed', handleClosed);
+        oauthWindow.close();
+        
+        if (error) {
+          reject(new Error(`OAuth error: ${error}`));
+          return;
+        }
+        
+        if (code) {
+          try {
+            resolve(await oauthHandler.getAccessToken(code));
+          } catch (err) {
+            reject(err);
           }
+        } else {
+          reject(new Error('No authorization code received'));
         }
-      });
-      
-      oauthWindow.on('closed', () => {
-        reject(new Error('OAuth window was closed'));
-      });
-    });
-  } catch (error) {
-    throw error;
-  }
-});
+      }
+    };
+    oauthWindow.webContents.on('will-navigate', handleCallback);
+    oauthWindow.webContents.on('will-redirect', handleCallback);
+    
+    oauthWindow.on('closed', handleClosed);
+  });
+}
 
-ipcMain.handle('open-repo-folder', async (event, fullName) => {
-  try {
-    openRepoInFolder(fullName);
-    return { success: true };
-  } catch (error) {
-    console.error('Failed to open repo folder:', error);
-    return { success: false, error: error.message };
-  }
-});
+// Every sign-in path ends here: the token is checked against /user, kept in main
+// and remembered; the page only ever sees the user it belongs to
+async function signIn(accessToken) {
+  const user = await api.signIn(accessToken);
+  await rememberToken(accessToken);
+  return user;
+}
+
+function registerAuthHandlers() {
+  api.handle('auth:getOptions', async () => {
+    return { webFlow: oauthHandler.hasWebFlow(), deviceFlow: oauthHandler.hasDeviceFlow() };
+  });
+
+  api.handle('auth:startOAuth', async () => {
+    return signIn(await signInWithOAuthWindow());
+  });
+
+  // Device Flow is split in two so the page can show the code while main polls
+  api.handle('auth:startDeviceFlow', async () => {
+    if (deviceFlow) deviceFlow.controller.abort();
+    const code = await oauthHandler.requestDeviceCode();
+    deviceFlow = { ...code, controller: new AbortController() };
+    return { userCode: code.user_code, verificationUri: code.verification_uri, expiresIn: code.expires_in };
+  });
+
+  api.handle('auth:pollDeviceFlow', async () => {
+    const flow = deviceFlow;
+    if (!flow) {
+      throw new Error('No device sign-in in progress');
+    }
+    try {
+      return signIn(await oauthHandler.pollDeviceToken(flow.device_code, flow.interval, flow.expires_in, flow.controller.signal));
+    } finally {
+      if (deviceFlow === flow) deviceFlow = null;
+    }
+  });
 
-app.whenReady().then(createWindow);
+  api.handle('auth:cancelDeviceFlow', async () => {
+    if (deviceFlow) {
+      deviceFlow.controller.abort();
+      deviceFlow = null;
+    }
+  });
+
+  api.handle('auth:signInWithToken', async (token) => {
+    return signIn(token);
+  });
+
+  // Pick up the token kept from the last session, if GitHub still accepts it
+  api.handle('auth:restore', async () => {
+    const token = await tokenStore.load();
+    if (!token) return null;
+    try {
+      return await api.signIn(token);
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      console.warn('Stored GitHub token is no longer valid');
+      await tokenStore.clear();
+      await api.signOut();
+      return null;
+    }
+  });
+
+  api.handle('auth:signOut', async () => {
+    const token = await tokenStore.load();
+    await tokenStore.clear();
+    await api.signOut();
+
+    // GitHub only lets the owner delete personal access tokens
+    if (token && /^(ghp_|github_pat_)/.test(token)) {
+      return { revoked: false, error: 'Personal access tokens can only be deleted from your GitHub settings' };
+    }
+    if (token) {
+      try {
+        await oauthHandler.revokeToken(token);
+      } catch (error) {
+        // Signed out locally either way; the token may just outlive us on GitHub
+        console.error('Failed to revoke token:', error);
+        return { revoked: false, error: error.message };
+      }
+    }
+    return { revoked: !!token };
+  });
+}
+
+app.whenReady().then(() => {
+  oauthHandler = new OAuthHandler(clientId, clientSecret);
+  tokenStore = new TokenStore(path.join(app.getPath('userData'), 'github-token.enc'));
+  api = new IpcApi(repoStorage);
+  api.register();
+  registerAuthHandlers();
+  createWindow();
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -1,8 +1,18 @@
 const { AuthorizationCode } = require('simple-oauth2');
+const { setTimeout: delay } = require('timers/promises');
+
+// main.js watches the OAuth window for this exact URL
+const REDIRECT_URI = 'http://localhost:8080/callback';
+const SCOPES = 'repo user read:org';
 
 class OAuthHandler {
-  constructor(clientId, clientSecret) {
-    this.client = new AuthorizationCode({
+  constructor(clientId = null, clientSecret = null) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.redirectUri = REDIRECT_URI;
+
+    // The browser redirect flow needs the secret; Device Flow only needs the client id
+    this.client = clientId && clientSecret ? new AuthorizationCode({
       client: {
         id: clientId,
         secret: clientSecret,
@@ -15,13 +25,24 @@ class OAuthHandler {
       options: {
         authorizationMethod: 'body', // GitHub prefers POST body
       },
-    });
+    }) : null;
+  }
+
+  hasWebFlow() {
+    return !!this.client;
+  }
+
+  hasDeviceFlow() {
+    return !!this.clientId;
   }
 
   getAuthURL() {
+    if (!this.client) {
+      throw new Error('Browser sign-in needs an OAuth client id and secret in config.js');
+    }
     return this.client.authorizeURL({
-      redirect_uri: 'http://localhost:8080/callback', // Different port
-      scope: 'repo user',
+      redirect_uri: this.redirectUri,
+      scope: SCOPES,
       state: 'github-client-auth'
     });
   }
@@ -30,8 +51,8 @@ class OAuthHandler {
     try {
       const tokenParams = {
         code: code,
-        redirect_uri: 'http://localhost:8080/callback', // Match the auth URL
-        scope: 'repo user',
+        redirect_uri: this.redirectUri,
+        scope: SCOPES,
       };
 
       const accessToken = await this.client.getToken(tokenParams);
@@ -42,6 +63,85 @@ class OAuthHandler {
       throw error;
     }
   }
+
+  // Device Flow step 1: a code the user types in at verification_uri
+  async requestDeviceCode() {
+    if (!this.clientId) {
+      throw new Error('Device sign-in needs an OAuth client id in config.js');
+    }
+    const data = await this.postForm('https://github.com/login/device/code', {
+      client_id: this.clientId,
+      scope: SCOPES,
+    });
+    if (data.error) {
+      throw new Error(data.error_description || data.error);
+    }
+    return data; // device_code, user_code, verification_uri, expires_in, interval
+  }
+
+  // Device Flow step 2: poll at GitHub's pace until the user approves or the code expires
+  async pollDeviceToken(deviceCode, interval, expiresIn, signal = null) {
+    const deadline = Date.now() + expiresIn * 1000;
+    let wait = interval;
+
+    while (Date.now() < deadline) {
+      await delay(wait * 1000, undefined, signal ? { signal } : {});
+      const data = await this.postForm('https://github.com/login/oauth/access_token', {
+        client_id: this.clientId,
+        device_code: deviceCode,
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+      }, signal);
+
+      if (data.access_token) {
+        return data.access_token;
+      }
+      if (data.error === 'authorization_pending') {
+        continue;
+      }
+      if (data.error === 'slow_down') {
+        wait = data.interval || wait + 5;
+        continue;
+      }
+      // expired_token, access_denied, ...
+      throw new Error(data.error_description || data.error || 'Device sign-in failed');
+    }
+    throw new Error('The code expired before sign-in was approved');
+  }
+
+  async postForm(url, params, signal = null) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { Accept: 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString(),
+      signal: signal || undefined,
+    });
+    if (!response.ok) {
+      throw new Error(`GitHub responded with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  // Revoke the token on GitHub so signing out really ends this app's access
+  async revokeToken(token) {
+    if (!this.clientId || !this.clientSecret) {
+      throw new Error('Revoking needs the OAuth client secret; remove access under GitHub Settings → Applications');
+    }
+    const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+    const response = await fetch(`https://api.github.com/applications/${this.clientId}/token`, {
+      method: 'DELETE',
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ access_token: token }),
+    });
+
+    // 404 means GitHub no longer knows the token, which is what we wanted anyway
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Token revocation failed with status ${response.status}`);
+    }
+  }
 }
 
 module.exports = OAuthHandler;
@@ -0,0 +1,142 @@
+// preload.js - The page's only way into the main process. The page runs without Node;
+// it gets the named calls on window.repospace below and nothing else.
+const { contextBridge, ipcRenderer } = require('electron');
+
+// Main answers every call with { value } or { error }. contextBridge drops custom
+// properties from Error objects, so failures reach the page as a plain
+// { name, message, status } object that reads the same way (error.status === 401)
+async function invoke(channel, ...args) {
+    const result = await ipcRenderer.invoke(channel, ...args);
+    if (result.error) {
+        throw { name: result.error.name, message: result.error.message, status: result.error.status };
+    }
+    return result.value;
+}
+
+// Long-running calls report progress as ('progress', id, data) events
+const progressHandlers = new Map();
+let nextProgressId = 1;
+
+ipcRenderer.on('progress', (event, id, progress) => {
+    const handler = progressHandlers.get(id);
+    if (handler) handler(progress);
+});
+
+async function invokeWithProgress(channel, onProgress, ...args) {
+    const id = nextProgressId++;
+    if (onProgress) progressHandlers.set(id, onProgress);
+    try {
+        return await invoke(channel, id, ...args);
+    } finally {
+        progressHandlers.delete(id);
+    }
+}
+
+contextBridge.exposeInMainWorld('repospace', {
+    github: {
+        searchRepositories: (query, options) => invoke('github:searchRepositories', query, options || {}),
+        buildSearchQuery: (text, filters) => invoke('github:buildSearchQuery', text, filters || {}),
+        getRepository: (owner, repo) => invoke('github:getRepository', owner, repo),
+        getReadme: (owner, repo, ref) => invoke('github:getReadme', owner, repo, ref || null),
+        getFileContent: (owner, repo, filePath, ref) => invoke('github:getFileContent', owner, repo, filePath, ref || null),
+        getRefs: (owner, repo) => invoke('github:getRefs', owner, repo),
+        getUserOrganizations: () => invoke('github:getUserOrganizations'),
+        getInsights: (fullName) => invoke('github:getInsights', fullName),
+        getRateLimits: () => invoke('github:getRateLimits'),
+        // Called with { core, search, ... } whenever GitHub reports new numbers;
+        // returns a function that stops listening
+        onRateLimit: (callback) => {
+            const listener = (event, rateLimits) => callback(rateLimits);
+            ipcRenderer.on('github:rateLimit', listener);
+            return () => ipcRenderer.removeListener('github:rateLimit', listener);
+        },
+        getUserRepositories: (onProgress) => invokeWithProgress('github:getUserRepositories', onProgress),
+        getStarredRepositories: (onProgress) => invokeWithProgress('github:getStarredRepositories', onProgress),
+        getOrganizationRepositories: (org, onProgress) => invokeWithProgress('github:getOrganizationRepositories', onProgress, org),
+        previewFilter: (fullName, ref, filter) => invoke('github:previewFilter', fullName, ref || null, filter || null)
+    },
+    auth: {
+        getOptions: () => invoke('auth:getOptions'),
+        restore: () => invoke('auth:restore'),
+        startOAuth: () => invoke('auth:startOAuth'),
+        startDeviceFlow: () => invoke('auth:startDeviceFlow'),
+        pollDeviceFlow: () => invoke('auth:pollDeviceFlow'),
+        cancelDeviceFlow: () => invoke('auth:cancelDeviceFlow'),
+        signInWithToken: (token) => invoke('auth:signInWithToken', token),
+        signOut: () => invoke('auth:signOut')
+    },
+    storage: {
+        init: (legacy) => invoke('storage:init', legacy || null),
+        getCategories: () => invoke('storage:getCategories'),
+        getReposByCategory: (category) => invoke('storage:getReposByCategory', category),
+        getAllRepos: () => invoke('storage:getAllRepos'),
+        getAllTags: () => invoke('storage:getAllTags'),
+        findRepoById: (id) => invoke('storage:findRepoById', id),
+        findSavedRepo: (fullName, category, ref) => invoke('storage:findSavedRepo', fullName, category || null, ref),
+        checkRepoExists: (fullName) => invoke('storage:checkRepoExists', fullName),
+        saveRepoMetadata: (repoData, category) => invoke('storage:saveRepoMetadata', repoData, category),
+        markOpened: (id) => invoke('storage:markOpened', id),
+        validateCategoryName: (name) => invoke('storage:validateCategoryName', name),
+        moveRepo: (id, category) => invoke('storage:moveRepo', id, category),
+        renameCategory: (oldName, newName) => invoke('storage:renameCategory', oldName, newName),
+        setRepoDetails: (id, details) => invoke('storage:setRepoDetails', id, details),
+        removeRepo: (id) => invoke('storage:removeRepo', id),
+        removeRepoEntries: (ids) => invoke('storage:removeRepoEntries', ids),
+        rescanLibrary: () => invoke('storage:rescanLibrary'),
+        getStorageUsage: () => invoke('storage:getStorageUsage'),
+        getStaleRepos: (months) => invoke('storage:getStaleRepos', months),
+        // Opens a folder dialog in main; resolves to what was found there, or null when cancelled
+        pickLocalFolder: () => invoke('storage:pickLocalFolder'),
+        addLocalRepo: (category, options) => invoke('storage:addLocalRepo', category, options || {}),
+        getRepoFileTree: (id) => invoke('storage:getRepoFileTree', id),
+        readRepoFile: (id, relPath) => invoke('storage:readRepoFile', id, relPath),
+        readRepoAsset: (id, relPath) => invoke('storage:readRepoAsset', id, relPath),
+        findReadme: (id) => invoke('storage:findReadme', id),
+        // The insights saved with the repo, or null when none were fetched yet
+        getInsights: (id) => invoke('storage:getInsights', id)
+    },
+    downloads: {
+        download: (id, options, onProgress) => invokeWithProgress('downloads:download', onProgress, id, options || {}),
+        clone: (id, options, onProgress) => invokeWithProgress('downloads:clone', onProgress, id, options || {}),
+        cancel: (id) => invoke('downloads:cancel', id)
+    },
+    queue: {
+        getState: () => invoke('queue:getState'),
+        add: (repoData, category, options) => invoke('queue:add', repoData, category, options || {}),
+        addMany: (repos, category, options) => invoke('queue:addMany', repos, category, options || {}),
+        retry: (id) => invoke('queue:retry', id),
+        cancel: (id) => invoke('queue:cancel', id),
+        remove: (id) => invoke('queue:remove', id),
+        clearFinished: () => invoke('queue:clearFinished'),
+        setConcurrency: (concurrency) => invoke('queue:setConcurrency', concurrency),
+        // Returns a function that stops listening
+        onChange: (callback) => {
+            const listener = (event, state) => callback(state);
+            ipcRenderer.on('queue:changed', listener);
+            return () => ipcRenderer.removeListener('queue:changed', listener);
+        }
+    },
+    updater: {
+        updateRepo: (id, onProgress) => invokeWithProgress('updater:updateRepo', onProgress, id),
+        checkAll: (onProgress) => invokeWithProgress('updater:checkAll', onProgress)
+    },
+    search: {
+        search: (query) => invoke('search:search', query),
+        parseQuery: (query) => invoke('search:parseQuery', query),
+        getUnindexedRepos: () => invoke('search:getUnindexedRepos'),
+        build: (id) => invoke('search:build', id)
+    },
+    bundles: {
+        // Both open a file dialog in main and resolve to null when it is cancelled
+        export: (ids, name, onProgress) => invokeWithProgress('bundles:export', onProgress, ids, name),
+        import: (onProgress) => invokeWithProgress('bundles:import', onProgress)
+    },
+    render: {
+        markdown: (content) => invoke('render:markdown', content),
+        highlight: (content, filePath) => invoke('render:highlight', content, filePath)
+    },
+    shell: {
+        openExternal: (url) => invoke('shell:openExternal', url),
+        openRepoFolder: (id) => invoke('shell:openRepoFolder', id)
+    }
+});
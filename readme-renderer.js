@@ -0,0 +1,157 @@
+// readme-renderer.js - Shows README/Markdown files safely, with repo-relative links and images.
+// Loaded as a plain <script> in the renderer; Markdown is converted in the main process.
+const MARKDOWN_EXTENSIONS = new Set(['md', 'markdown', 'mdown', 'mkd']);
+
+// Elements that never belong in a rendered README
+const BLOCKED_TAGS = 'script, style, iframe, frame, frameset, object, embed, applet, form, input, button, textarea, select, link, meta, base';
+
+const IMAGE_TYPES = {
+    png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+    svg: 'image/svg+xml', bmp: 'image/bmp', ico: 'image/x-icon', avif: 'image/avif'
+};
+
+function extensionOf(filePath) {
+    const name = filePath.split('/').pop();
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+// path.posix.normalize for repo paths: resolves "." and "..", keeps leading ".." segments
+function normalizeRepoPath(filePath) {
+    const segments = [];
+    for (const segment of filePath.split('/')) {
+        if (segment === '' || segment === '.') continue;
+        if (segment === '..' && segments.length > 0 && segments[segments.length - 1] !== '..') {
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    }
+    return segments.join('/');
+}
+
+// Image bytes arrive over IPC as a Uint8Array (or a string for text files like SVG)
+function toBase64(content) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+class ReadmeRenderer {
+    // markdownToHtml(content) -> Promise<string>, provided by the preload bridge
+    constructor(markdownToHtml) {
+        this.markdownToHtml = markdownToHtml;
+    }
+
+    static isMarkdown(filePath) {
+        return MARKDOWN_EXTENSIONS.has(extensionOf(filePath));
+    }
+
+    // Turn README content into sanitized HTML. Relative links and images are
+    // tagged with data-repo-path so bind() can load them from the right place.
+    async render(content, filePath) {
+        let html;
+        if (ReadmeRenderer.isMarkdown(filePath)) {
+            html = await this.markdownToHtml(content);
+        } else {
+            // reStructuredText, AsciiDoc and plain READMEs are shown as text
+            const pre = document.createElement('pre');
+            pre.className = 'readme-plain';
+            pre.textContent = content;
+            html = pre.outerHTML;
+        }
+
+        return this.sanitize(html, filePath);
+    }
+
+    sanitize(html, filePath) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const root = template.content;
+
+        root.querySelectorAll(BLOCKED_TAGS).forEach(el => el.remove());
+
+        root.querySelectorAll('*').forEach(el => {
+            for (const attribute of [...el.attributes]) {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value.trim().toLowerCase();
+                if (name.startsWith('on') || name === 'style' || name === 'srcset') {
+                    el.removeAttribute(attribute.name);
+                } else if ((name === 'href' || name === 'src' || name === 'xlink:href') && /^(javascript|vbscript|data):/.test(value)) {
+                    el.removeAttribute(attribute.name);
+                }
+            }
+        });
+
+        root.querySelectorAll('a[href]').forEach(link => {
+            const target = this.resolveRepoPath(filePath, link.getAttribute('href'));
+            if (target) {
+                link.dataset.repoPath = target.path;
+                if (target.hash) link.dataset.hash = target.hash;
+                link.setAttribute('href', '#');
+            }
+        });
+
+        root.querySelectorAll('img[src]').forEach(img => {
+            const target = this.resolveRepoPath(filePath, img.getAttribute('src'));
+            if (target) {
+                img.dataset.repoPath = target.path;
+                img.removeAttribute('src');
+            }
+        });
+
+        return template.innerHTML;
+    }
+
+    // Resolve a link found in `fromFile` to a repo-relative path, or null when it isn't one
+    resolveRepoPath(fromFile, href) {
+        if (!href || href.startsWith('#') || href.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(href)) {
+            return null;
+        }
+
+        const [withoutHash, hash = ''] = href.split('#');
+        const cleanHref = decodeURIComponent(withoutHash.split('?')[0]);
+        const base = cleanHref.startsWith('/') ? '' : fromFile.split('/').slice(0, -1).join('/');
+        const resolved = normalizeRepoPath(`${base}/${cleanHref}`);
+
+        if (resolved.startsWith('..')) {
+            return null;
+        }
+        return { path: resolved, hash: hash };
+    }
+
+    // Wire up a rendered README. handlers: loadAsset(relPath) -> bytes or string,
+    // openPath(relPath, hash) for relative links, openExternal(url) for everything else
+    bind(container, handlers) {
+        const { loadAsset, openPath, openExternal } = handlers;
+
+        container.querySelectorAll('img[data-repo-path]').forEach(async img => {
+            try {
+                const content = await loadAsset(img.dataset.repoPath);
+                const type = IMAGE_TYPES[extensionOf(img.dataset.repoPath)] || 'application/octet-stream';
+                img.src = `data:${type};base64,${toBase64(content)}`;
+            } catch (error) {
+                console.warn(`Could not load README image ${img.dataset.repoPath}:`, error.message);
+                img.alt = img.alt || img.dataset.repoPath;
+            }
+        });
+
+        container.querySelectorAll('a[href]').forEach(link => {
+            link.addEventListener('click', (event) => {
+                event.preventDefault();
+                const href = link.getAttribute('href');
+
+                if (link.dataset.repoPath !== undefined) {
+                    openPath(link.dataset.repoPath, link.dataset.hash || null);
+                } else if (href.startsWith('#')) {
+                    const heading = container.querySelector(`[id="${CSS.escape(decodeURIComponent(href.slice(1)).toLowerCase())}"]`);
+                    if (heading) heading.scrollIntoView({ block: 'start' });
+                } else if (/^(https?|mailto):/i.test(href)) {
+                    openExternal(href);
+                }
+            });
+        });
+    }
+}
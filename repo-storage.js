@@ -2,11 +2,114 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
+const GitClient = require('./git-client');
+
+// RepoSpace bookkeeping that never shows up as repository content
+const INTERNAL_ENTRIES = new Set(['.git', '.repospace-meta.json', '.repospace-partial.json', '.repospace-insights.json']);
+
+// owner/name from https://github.com/owner/name.git, git@github.com:owner/name.git and the like
+function repoNameFromUrl(url) {
+    const match = url && url.match(/[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/);
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+// Library fields that only make sense on this machine; they stay out of
+// .repospace-meta.json so copies of a folder don't carry them elsewhere
+const MACHINE_FIELDS = ['id', 'localPath', 'sourcePath', 'linked'];
+
+// Tree entries with this mode are symlinks; their blob holds the link target
+const SYMLINK_MODE = '120000';
+
+// Same hash git uses for blob objects, so local files can be matched against tree SHAs
+function gitBlobSha(buffer) {
+    return crypto.createHash('sha1')
+        .update(`blob ${buffer.length}\0`)
+        .update(buffer)
+        .digest('hex');
+}
 
 class RepoStorage {
     constructor() {
-        this.storageKey = 'repospace_saved_repos';
         this.baseDir = path.join(os.homedir(), 'RepoSpace');
+        this.dbPath = path.join(this.baseDir, '.repospace-library.json');
+        this.db = null;
+        this.git = new GitClient();
+    }
+
+    // Open the on-disk library database (must be awaited before anything else)
+    async init() {
+        try {
+            await this.ensureBaseDirectory();
+
+            // lowdb is ESM-only, so it has to be loaded with a dynamic import
+            const { LowSync } = await import('lowdb');
+            const { JSONFileSync } = await import('lowdb/node');
+
+            this.db = new LowSync(new JSONFileSync(this.dbPath), { version: 1, repos: [] });
+            this.db.read();
+            this.db.data = { version: 1, repos: [], ...this.db.data };
+
+            console.log(`📚 Library loaded from ${this.dbPath} (${this.db.data.repos.length} repos)`);
+            return this.db;
+        } catch (error) {
+            console.error('Failed to open library database:', error);
+            throw error;
+        }
+    }
+
+    // One-time import of the library that used to live in the renderer's localStorage.
+    // The renderer passes the raw value and drops its copy once this has returned, so
+    // anything unreadable is counted as skipped rather than failing the whole import.
+    migrateFromLocalStorage(legacy) {
+        if (!legacy) return { imported: 0, skipped: 0 };
+
+        let saved;
+        try {
+            saved = JSON.parse(legacy);
+        } catch (error) {
+            console.error('❌ Could not read the old localStorage library:', error.message);
+            return { imported: 0, skipped: 1 };
+        }
+        if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+            console.error('❌ The old localStorage library is not a category map, nothing migrated');
+            return { imported: 0, skipped: 1 };
+        }
+
+        let imported = 0;
+        let skipped = 0;
+        for (const [category, repos] of Object.entries(saved)) {
+            if (!Array.isArray(repos)) {
+                skipped++;
+                continue;
+            }
+            for (const repo of repos) {
+                if (!repo || typeof repo !== 'object' || typeof repo.fullName !== 'string') {
+                    skipped++;
+                    continue;
+                }
+                const exists = this.db.data.repos.some(r => r.fullName === repo.fullName && r.category === category);
+                if (!exists) {
+                    this.db.data.repos.push({ id: crypto.randomUUID(), ...repo, category: category });
+                    imported++;
+                }
+            }
+        }
+
+        this.db.write();
+        console.log(`📦 Migrated ${imported} saved repos from localStorage` + (skipped ? ` (${skipped} unreadable entries skipped)` : ''));
+        return { imported: imported, skipped: skipped };
+    }
+
+    // Persist the library database
+    writeDb() {
+        if (!this.db) {
+            throw new Error('Library database not initialized');
+        }
+        this.db.write();
     }
 
     // Ensure RepoSpace directory exists
@@ -20,42 +123,59 @@ class RepoStorage {
         }
     }
 
-    // Get all saved repos from localStorage
+    // Get every saved repo as a flat list
+    getAllRepos() {
+        return this.db ? this.db.data.repos : [];
+    }
+
+    // Get all saved repos grouped by category
     getSavedRepos() {
-        try {
-            const saved = localStorage.getItem(this.storageKey);
-            return saved ? JSON.parse(saved) : {};
-        } catch (error) {
-            console.error('Failed to load saved repos:', error);
-            return {};
+        return this.getAllRepos().reduce((saved, repo) => {
+            (saved[repo.category] = saved[repo.category] || []).push(repo);
+            return saved;
+        }, {});
+    }
+
+    // Find a saved repo by its library id
+    findRepoById(id) {
+        return this.getAllRepos().find(r => r.id === id) || null;
+    }
+
+    // Update fields of a saved repo and persist them
+    updateRepo(id, changes) {
+        const repo = this.findRepoById(id);
+        if (!repo) {
+            throw new Error(`Saved repository not found: ${id}`);
         }
+        Object.assign(repo, changes);
+        this.writeDb();
+        return repo;
     }
 
-    // Save repository metadata to localStorage
+    // Save repository metadata to the library database
     saveRepoMetadata(repoData, category) {
         try {
-            const saved = this.getSavedRepos();
-
-            if (!saved[category]) {
-                saved[category] = [];
-            }
-
-            // Check if repo already exists in this category
-            const exists = saved[category].find(r => r.fullName === repoData.fullName);
+            // Check if repo already exists in this category (at the same ref)
+            const pinnedRef = repoData.ref || null;
+            const exists = this.findSavedRepo(repoData.fullName, category, pinnedRef);
             if (!exists) {
                 const repoMetadata = {
+                    id: crypto.randomUUID(),
                     fullName: repoData.fullName,
                     cloneUrl: repoData.cloneUrl,
                     description: repoData.description || 'No description',
                     language: repoData.language || 'Unknown',
                     stars: repoData.stars || 0,
                     savedAt: new Date().toISOString(),
-                    localPath: this.getRepoPath(repoData.fullName, category),
+                    mode: repoData.mode || 'archive',
+                    // Branch, tag or SHA picked at save time; null follows the default branch
+                    pinnedRef: pinnedRef,
+                    localPath: this.getRepoPath(repoData.fullName, category, pinnedRef),
                     category: category
                 };
 
-                saved[category].push(repoMetadata);
-                localStorage.setItem(this.storageKey, JSON.stringify(saved));
+                this.db.data.repos.push(repoMetadata);
+                this.writeDb();
                 return true;
             }
             return false; // Already exists
@@ -65,9 +185,10 @@ class RepoStorage {
         }
     }
 
-    // Get the local file path for a repository
-		getRepoPath(fullName, category = 'uncategorized') {
-    		return path.join(this.baseDir, category, fullName.replace('/', '-'));
+    // Get the local file path for a repository; a pinned ref gets its own folder (owner-repo@v2.0.0)
+		getRepoPath(fullName, category = 'uncategorized', ref = null) {
+    		const folder = fullName.replace('/', '-') + (ref ? `@${ref.replace(/[\\/:*?"<>|]/g, '-')}` : '');
+    		return path.join(this.baseDir, category, folder);
 		}
 
     // Save repository files to disk
@@ -97,8 +218,7 @@ class RepoStorage {
             }
 
             // Create a metadata file
-            const metadataPath = path.join(repoDir, '.repospace-meta.json');
-            const metadata = {
+            await this.writeRepoMetadata(repoDir, {
                 repoName: repoName,
                 downloadedAt: new Date().toISOString(),
                 fileCount: files.length,
@@ -109,8 +229,7 @@ class RepoStorage {
                         return size + Buffer.byteLength(file.content, 'utf8');
                     }
                 }, 0)
-            };
-            await fs.writeJSON(metadataPath, metadata, { spaces: 2 });
+            });
 
             console.log(`✅ Saved ${files.length} files to: ${repoDir}`);
             return repoDir;
@@ -121,6 +240,451 @@ class RepoStorage {
         }
     }
 
+    // Extract a gzipped repository tarball stream straight into the repo folder
+    async extractRepositoryArchive(repoName, archiveStream, category = 'uncategorized', options = {}) {
+        const { ref = null, commitSha = null, totalBytes = null, onProgress = null, signal = null, clean = true, filter = null, only = null } = options;
+        const repoDir = options.repoDir || this.getRepoPath(repoName, category);
+        const progress = { receivedBytes: 0, totalBytes: totalBytes, fileCount: 0, totalSize: 0, currentFile: null };
+        const report = () => {
+            if (onProgress) onProgress({ ...progress });
+        };
+
+        try {
+            // Start from an empty folder so files from an earlier attempt don't linger
+            if (clean) {
+                await fs.emptyDir(repoDir);
+            }
+
+            const counter = new Transform({
+                transform(chunk, encoding, callback) {
+                    progress.receivedBytes += chunk.length;
+                    report();
+                    callback(null, chunk);
+                }
+            });
+
+            await pipeline(
+                archiveStream,
+                counter,
+                tar.x({
+                    cwd: repoDir,
+                    // GitHub wraps everything in an "owner-repo-sha/" folder
+                    strip: 1,
+                    // Folders are created as their files need them, so excluded folders never appear.
+                    // `only` (a Set of repo-relative paths) narrows it further, for resumes.
+                    filter: filter || only ? (entryPath, entry) => {
+                        const relPath = entryPath.split('/').slice(1).join('/');
+                        return entry.type !== 'Directory' && (!filter || filter.matches(relPath, entry.size)) &&
+                            (!only || only.has(relPath));
+                    } : undefined,
+                    onentry: (entry) => {
+                        if (entry.type === 'File') {
+                            progress.fileCount++;
+                            progress.totalSize += entry.size;
+                            progress.currentFile = entry.path.split('/').slice(1).join('/');
+                            report();
+                        }
+                    }
+                }),
+                { signal: signal || undefined }
+            );
+
+            await this.writeRepoMetadata(repoDir, {
+                repoName: repoName,
+                downloadedAt: new Date().toISOString(),
+                fileCount: progress.fileCount,
+                totalSize: progress.totalSize,
+                mode: 'archive',
+                ref: ref,
+                commitSha: commitSha,
+                filter: filter && !filter.isEmpty() ? filter.toJSON() : null
+            });
+
+            console.log(`✅ Extracted ${progress.fileCount} files to: ${repoDir}`);
+            return repoDir;
+        } catch (error) {
+            console.error('Failed to extract repository archive:', error);
+            throw error;
+        }
+    }
+
+    // Save a repository as a real git clone, keeping history, branches and tags
+    async saveRepositoryClone(repoName, cloneUrl, category = 'uncategorized', options = {}) {
+        const { shallow = true, ref = null, onProgress = null, signal = null } = options;
+        const repoDir = options.repoDir || this.getRepoPath(repoName, category);
+
+        try {
+            // git refuses to clone into a non-empty folder
+            await fs.remove(repoDir);
+
+            await this.git.clone(cloneUrl, repoDir, {
+                depth: shallow ? 1 : null,
+                ref: ref,
+                onProgress: onProgress,
+                signal: signal
+            });
+            await this.git.excludeFromStatus(repoDir, '.repospace-meta.json');
+
+            const totalSize = await this.getDirectorySize(repoDir);
+            const commitSha = await this.git.getHeadSha(repoDir);
+            // A commit picked by its short SHA is stored in full: updates look the ref up
+            // on the remote and fetch it, and neither works with an abbreviation
+            const pinnedCommit = ref && commitSha.startsWith(ref.toLowerCase());
+            await this.writeRepoMetadata(repoDir, {
+                repoName: repoName,
+                downloadedAt: new Date().toISOString(),
+                totalSize: totalSize,
+                mode: 'clone',
+                cloneUrl: cloneUrl,
+                shallow: shallow,
+                ref: pinnedCommit ? commitSha : ref || await this.git.getCurrentBranch(repoDir),
+                commitSha: commitSha
+            });
+
+            console.log(`✅ Cloned ${cloneUrl} to: ${repoDir}`);
+            return repoDir;
+        } catch (error) {
+            console.error('Failed to clone repository:', error);
+            throw error;
+        }
+    }
+
+    // Describe a folder from elsewhere on disk: a git checkout (remote, branch, HEAD) or plain files
+    async inspectLocalFolder(sourceDir) {
+        const stats = await fs.stat(sourceDir);
+        if (!stats.isDirectory()) {
+            throw new Error(`Not a folder: ${sourceDir}`);
+        }
+
+        const info = { sourceDir: sourceDir, isGit: false, remoteUrl: null, branch: null, commitSha: null, fullName: null };
+        // .git is a file in worktrees and submodules, so only check that it's there
+        info.isGit = await fs.pathExists(path.join(sourceDir, '.git'));
+        if (info.isGit) {
+            info.remoteUrl = await this.git.getRemoteUrl(sourceDir);
+            // A repo without commits has no HEAD yet
+            info.branch = await this.git.getCurrentBranch(sourceDir).catch(() => null);
+            info.commitSha = await this.git.getHeadSha(sourceDir).catch(() => null);
+        }
+        info.fullName = repoNameFromUrl(info.remoteUrl) || `local/${path.basename(sourceDir).replace(/[^\w.-]/g, '-')}`;
+        return info;
+    }
+
+    // Add a folder from elsewhere on disk to the library, either copied into the category
+    // or linked where it is. Linked folders still belong to the user: RepoSpace never updates them.
+    async addLocalRepo(sourceDir, category = 'uncategorized', options = {}) {
+        const { link = false, fullName = null } = options;
+
+        try {
+            const source = await fs.realpath(sourceDir);
+            const base = await fs.realpath(this.baseDir);
+            if (source === base || source.startsWith(base + path.sep)) {
+                throw new Error('This folder is already inside RepoSpace; use Rescan Library to pick it up');
+            }
+            if (base.startsWith(source + path.sep)) {
+                throw new Error('This folder contains the RepoSpace folder');
+            }
+
+            const info = await this.inspectLocalFolder(source);
+            const name = fullName || info.fullName;
+            if (this.findSavedRepo(name, category, null)) {
+                throw new Error(`${name} already exists in "${category}" category`);
+            }
+            const repoDir = this.getRepoPath(name, category);
+            if (await fs.pathExists(repoDir)) {
+                throw new Error(`Folder already exists: ${repoDir}`);
+            }
+
+            await fs.ensureDir(path.dirname(repoDir));
+            if (link) {
+                // Windows makes junctions without admin rights; other systems ignore the type
+                await fs.symlink(source, repoDir, 'junction');
+            } else {
+                await fs.copy(source, repoDir);
+            }
+
+            const repo = {
+                id: crypto.randomUUID(),
+                fullName: name,
+                cloneUrl: info.remoteUrl,
+                description: 'No description',
+                language: 'Unknown',
+                stars: 0,
+                savedAt: new Date().toISOString(),
+                // A checkout with a remote updates like any clone; plain folders have nothing to update from
+                mode: info.isGit ? 'clone' : 'local',
+                pinnedRef: null,
+                localPath: repoDir,
+                category: category,
+                sourcePath: source,
+                linked: link
+            };
+            this.db.data.repos.push(repo);
+            this.writeDb();
+
+            if (info.isGit) {
+                // For a linked checkout this is the user's own .git, so their `git status` stays clean too.
+                // Worktrees have a .git file instead of a folder and just keep the entry.
+                await this.git.excludeFromStatus(repoDir, '.repospace-meta.json')
+                    .catch(error => console.warn('Could not hide .repospace-meta.json from git:', error.message));
+            }
+            await this.writeRepoMetadata(repoDir, {
+                repoName: name,
+                totalSize: await this.getDirectorySize(repoDir),
+                ref: info.branch,
+                commitSha: info.commitSha
+            });
+
+            console.log(`✅ ${link ? 'Linked' : 'Copied'} ${source} to: ${repoDir}`);
+            return repo;
+        } catch (error) {
+            console.error('Failed to add local repository:', error);
+            throw error;
+        }
+    }
+
+    // A library entry (or meta file) without its machine-specific fields
+    getPortableFields(repo) {
+        const fields = { ...repo };
+        MACHINE_FIELDS.forEach(field => delete fields[field]);
+        return fields;
+    }
+
+    // Write the .repospace-meta.json file for a saved repository.
+    // Library fields are copied in too, so the index can be rebuilt from disk alone.
+    async writeRepoMetadata(repoDir, metadata) {
+        const metadataPath = path.join(repoDir, '.repospace-meta.json');
+        const entry = this.getAllRepos().find(r => path.resolve(r.localPath) === path.resolve(repoDir));
+        const library = entry ? this.getPortableFields(entry) : {};
+
+        await fs.writeJSON(metadataPath, { ...library, ...metadata }, { spaces: 2 });
+        return metadataPath;
+    }
+
+    // Read the .repospace-meta.json file of a saved repository folder
+    async readRepoMetadata(repoDir) {
+        const metadataPath = path.join(repoDir, '.repospace-meta.json');
+        if (!(await fs.pathExists(metadataPath))) {
+            return null;
+        }
+        return await fs.readJSON(metadataPath);
+    }
+
+    // Keep the last fetched insights (languages, contributors, releases, activity)
+    // next to the repo so they can be shown offline
+    async writeRepoInsights(repoDir, insights) {
+        const insightsPath = path.join(repoDir, '.repospace-insights.json');
+        await fs.writeJSON(insightsPath, insights, { spaces: 2 });
+        if (await fs.pathExists(path.join(repoDir, '.git'))) {
+            await this.git.excludeFromStatus(repoDir, '.repospace-insights.json')
+                .catch(error => console.warn('Could not hide .repospace-insights.json from git:', error.message));
+        }
+        return insightsPath;
+    }
+
+    async readRepoInsights(repoDir) {
+        const insightsPath = path.join(repoDir, '.repospace-insights.json');
+        if (!(await fs.pathExists(insightsPath))) {
+            return null;
+        }
+        return await fs.readJSON(insightsPath);
+    }
+
+    // Rebuild the library index from the .repospace-meta.json files under baseDir
+    async rescanLibrary() {
+        const report = { added: [], updated: [], orphanedFolders: [], missingEntries: [] };
+
+        try {
+            await this.ensureBaseDirectory();
+            const seenPaths = new Set();
+            const categories = await fs.readdir(this.baseDir, { withFileTypes: true });
+
+            for (const categoryEntry of categories) {
+                // Skip files and RepoSpace's own dot folders
+                if (!categoryEntry.isDirectory() || categoryEntry.name.startsWith('.')) continue;
+
+                const category = categoryEntry.name;
+                const categoryDir = path.join(this.baseDir, category);
+                const repoDirs = await fs.readdir(categoryDir, { withFileTypes: true });
+
+                for (const repoEntry of repoDirs) {
+                    const repoDir = path.join(categoryDir, repoEntry.name);
+                    // Linked local repos are symlinks to folders elsewhere
+                    let linked = false;
+                    if (repoEntry.isSymbolicLink()) {
+                        const target = await fs.stat(repoDir).catch(() => null);
+                        linked = !!target && target.isDirectory();
+                    }
+                    if (!repoEntry.isDirectory() && !linked) continue;
+
+                    let meta = null;
+                    try {
+                        meta = await this.readRepoMetadata(repoDir);
+                    } catch (error) {
+                        console.warn(`Unreadable metadata in ${repoDir}:`, error.message);
+                    }
+
+                    const fullName = meta && (meta.fullName || meta.repoName);
+                    if (!fullName) {
+                        report.orphanedFolders.push(repoDir);
+                        continue;
+                    }
+                    seenPaths.add(path.resolve(repoDir));
+
+                    // The folder on disk is the source of truth for category and path
+                    const fields = {
+                        fullName: fullName,
+                        cloneUrl: meta.cloneUrl,
+                        description: meta.description || 'No description',
+                        language: meta.language || 'Unknown',
+                        stars: meta.stars || 0,
+                        savedAt: meta.savedAt || meta.downloadedAt || new Date().toISOString(),
+                        mode: meta.mode || 'archive',
+                        pinnedRef: meta.pinnedRef || null,
+                        localPath: repoDir,
+                        category: category
+                    };
+                    if (linked) {
+                        fields.linked = true;
+                        fields.sourcePath = await fs.realpath(repoDir);
+                    }
+
+                    const existing = this.getAllRepos().find(r => path.resolve(r.localPath) === path.resolve(repoDir))
+                        || this.findSavedRepo(fullName, category, fields.pinnedRef);
+
+                    if (existing) {
+                        Object.assign(existing, fields);
+                        report.updated.push(existing);
+                    } else {
+                        const repo = { ...this.getPortableFields(meta), id: crypto.randomUUID(), ...fields };
+                        delete repo.repoName;
+                        this.db.data.repos.push(repo);
+                        report.added.push(repo);
+                    }
+                }
+            }
+
+            report.missingEntries = this.getAllRepos().filter(r => !seenPaths.has(path.resolve(r.localPath)));
+            this.writeDb();
+
+            console.log(`🔄 Rescan: ${report.added.length} added, ${report.updated.length} updated, ` +
+                `${report.orphanedFolders.length} orphaned folders, ${report.missingEntries.length} missing folders`);
+            return report;
+        } catch (error) {
+            console.error('Failed to rescan library:', error);
+            throw error;
+        }
+    }
+
+    // Copy the library entry into the repo's .repospace-meta.json, keeping the download fields
+    async syncRepoMetadata(repo) {
+        if (!(await fs.pathExists(repo.localPath))) return;
+
+        // Meta files written before these fields were left out may still have them
+        const meta = this.getPortableFields((await this.readRepoMetadata(repo.localPath)) || {});
+        await fs.writeJSON(path.join(repo.localPath, '.repospace-meta.json'), { ...meta, ...this.getPortableFields(repo) }, { spaces: 2 });
+    }
+
+    // Category names become folder names under baseDir
+    validateCategoryName(name) {
+        const category = (name || '').trim();
+        if (!category || category.startsWith('.') || /[\\/:*?"<>|]/.test(category)) {
+            throw new Error(`Invalid category name: "${category}"`);
+        }
+        return category;
+    }
+
+    // Move a saved repo (folder and library entry) into another category
+    async moveRepo(id, newCategory) {
+        try {
+            const repo = this.findRepoById(id);
+            if (!repo) {
+                throw new Error(`Saved repository not found: ${id}`);
+            }
+
+            const category = this.validateCategoryName(newCategory);
+            if (category === repo.category) {
+                return repo;
+            }
+            if (this.findSavedRepo(repo.fullName, category, repo.pinnedRef || null)) {
+                throw new Error(`${repo.fullName} already exists in "${category}" category`);
+            }
+
+            const newPath = this.getRepoPath(repo.fullName, category, repo.pinnedRef || null);
+            if (await fs.pathExists(newPath)) {
+                throw new Error(`Folder already exists: ${newPath}`);
+            }
+
+            const oldCategoryDir = path.dirname(repo.localPath);
+            if (await fs.pathExists(repo.localPath)) {
+                await fs.move(repo.localPath, newPath);
+            }
+            this.updateRepo(id, { category: category, localPath: newPath });
+            await this.syncRepoMetadata(repo);
+            await this.removeEmptyCategoryDir(oldCategoryDir);
+
+            console.log(`📦 Moved ${repo.fullName} to "${category}"`);
+            return repo;
+        } catch (error) {
+            console.error('Failed to move repository:', error);
+            throw error;
+        }
+    }
+
+    // Rename a category; renaming onto an existing one merges the two.
+    // Repos that already exist in the target category are left where they are.
+    async renameCategory(oldName, newName) {
+        const category = this.validateCategoryName(newName);
+        const result = { moved: [], conflicts: [] };
+
+        for (const repo of [...this.getReposByCategory(oldName)]) {
+            if (this.findSavedRepo(repo.fullName, category, repo.pinnedRef || null)) {
+                result.conflicts.push(repo);
+                continue;
+            }
+            result.moved.push(await this.moveRepo(repo.id, category));
+        }
+
+        console.log(`📂 Renamed "${oldName}" to "${category}": ${result.moved.length} moved, ${result.conflicts.length} conflicts`);
+        return result;
+    }
+
+    // Set free-form tags and notes on a saved repo
+    async setRepoDetails(id, details) {
+        const changes = {};
+        if (details.tags !== undefined) {
+            const tags = details.tags.map(tag => tag.trim()).filter(Boolean);
+            changes.tags = [...new Set(tags)];
+        }
+        if (details.notes !== undefined) {
+            changes.notes = details.notes.trim();
+        }
+
+        const repo = this.updateRepo(id, changes);
+        await this.syncRepoMetadata(repo);
+        return repo;
+    }
+
+    // Every tag used in the library, sorted
+    getAllTags() {
+        const tags = new Set(this.getAllRepos().flatMap(repo => repo.tags || []));
+        return [...tags].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Delete a category folder once the last repo has left it
+    async removeEmptyCategoryDir(categoryDir) {
+        if (path.resolve(path.dirname(categoryDir)) !== path.resolve(this.baseDir)) return;
+        if ((await fs.pathExists(categoryDir)) && (await fs.readdir(categoryDir)).length === 0) {
+            await fs.remove(categoryDir);
+        }
+    }
+
+    // Drop index entries (by id) without touching anything on disk
+    removeRepoEntries(ids) {
+        const remove = new Set(ids);
+        this.db.data.repos = this.getAllRepos().filter(r => !remove.has(r.id));
+        this.writeDb();
+    }
+
     // Get repositories by category
     getReposByCategory(category) {
         const saved = this.getSavedRepos();
@@ -133,16 +697,234 @@ class RepoStorage {
         return Object.keys(saved).sort();
     }
 
+    // Find saved repository metadata (first match when no category or ref is given;
+    // pass ref = null to match only the copy that follows the default branch)
+    findSavedRepo(fullName, category = null, ref = undefined) {
+        const saved = this.getSavedRepos();
+        const categories = category ? [category] : Object.keys(saved);
+
+        for (const cat of categories) {
+            const repo = (saved[cat] || []).find(r => r.fullName === fullName && (ref === undefined || (r.pinnedRef || null) === ref));
+            if (repo) {
+                return repo;
+            }
+        }
+        return null;
+    }
+
     // Check if repository exists locally
-    async checkRepoExists(fullName) {
+    async checkRepoExists(fullName, category = null) {
         try {
-            const repoPath = this.getRepoPath(fullName);
+            const repo = this.findSavedRepo(fullName, category);
+            const repoPath = repo ? repo.localPath : this.getRepoPath(fullName, category || undefined);
             return await fs.pathExists(repoPath);
         } catch (error) {
             return false;
         }
     }
 
+    // Build a nested file tree for a saved repository folder
+    async getRepoFileTree(repoDir, relDir = '') {
+        const entries = await fs.readdir(path.join(repoDir, relDir), { withFileTypes: true });
+        const nodes = [];
+
+        for (const entry of entries) {
+            if (INTERNAL_ENTRIES.has(entry.name)) {
+                continue;
+            }
+
+            const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                nodes.push({
+                    name: entry.name,
+                    path: relPath,
+                    type: 'dir',
+                    children: await this.getRepoFileTree(repoDir, relPath)
+                });
+            } else if (entry.isFile()) {
+                nodes.push({ name: entry.name, path: relPath, type: 'file' });
+            }
+        }
+
+        // Directories first, then alphabetical
+        return nodes.sort((a, b) => {
+            if (a.type !== b.type) return a.type === 'dir' ? -1 : 1;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    // Resolve a repo-relative path, refusing anything that escapes the repo folder
+    resolveRepoFile(repoDir, relPath) {
+        const filePath = path.resolve(repoDir, relPath);
+        if (!filePath.startsWith(path.resolve(repoDir) + path.sep)) {
+            throw new Error(`Invalid file path: ${relPath}`);
+        }
+        return filePath;
+    }
+
+    // List every file in a saved repository folder as repo-relative paths
+    async listRepoFiles(repoDir) {
+        const flatten = (nodes) => nodes.reduce((files, node) => {
+            return files.concat(node.type === 'dir' ? flatten(node.children) : [node.path]);
+        }, []);
+        return flatten(await this.getRepoFileTree(repoDir));
+    }
+
+    // The first symlink on the way from repoDir down to relPath (relPath included), or null.
+    // repoDir itself may be a link (linked repos), so only what's below it counts.
+    async findSymlinkInPath(repoDir, relPath) {
+        const segments = relPath.split('/').filter(segment => segment && segment !== '.');
+        for (let i = 1; i <= segments.length; i++) {
+            const linkPath = segments.slice(0, i).join('/');
+            try {
+                if ((await fs.lstat(this.resolveRepoFile(repoDir, linkPath))).isSymbolicLink()) {
+                    return linkPath;
+                }
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        }
+        return null;
+    }
+
+    // Whether the entry on disk is exactly this tree blob. Symlinks are compared as links,
+    // never followed, and nothing below a symlinked folder counts as saved.
+    async matchesBlob(repoDir, blob) {
+        const localFile = this.resolveRepoFile(repoDir, blob.path);
+        if (await this.findSymlinkInPath(repoDir, path.posix.dirname(blob.path))) {
+            return false;
+        }
+
+        let stats;
+        try {
+            stats = await fs.lstat(localFile);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        if (blob.mode === SYMLINK_MODE) {
+            return stats.isSymbolicLink() && gitBlobSha(await fs.readlink(localFile, { encoding: 'buffer' })) === blob.sha;
+        }
+        return stats.isFile() && gitBlobSha(await fs.readFile(localFile)) === blob.sha;
+    }
+
+    // Compare a saved folder with a list of git tree blobs ({ path, sha, mode }).
+    // Returns the blobs that are missing or different on disk, and local files upstream doesn't have.
+    async diffAgainstTree(repoDir, blobs) {
+        const upstreamPaths = new Set(blobs.map(blob => blob.path));
+        const diff = { changed: [], removed: [] };
+
+        for (const blob of blobs) {
+            if (!(await this.matchesBlob(repoDir, blob))) {
+                diff.changed.push(blob);
+            }
+        }
+
+        const localFiles = await this.listRepoFiles(repoDir);
+        diff.removed = localFiles.filter(filePath => !upstreamPaths.has(filePath));
+
+        return diff;
+    }
+
+    // Refuse paths that run through a symlink: writing or deleting there would
+    // change whatever the link points at, possibly outside the repo folder
+    async assertNoSymlink(repoDir, relPath) {
+        const linkPath = await this.findSymlinkInPath(repoDir, relPath);
+        if (linkPath) {
+            throw new Error(`Refusing to follow symlink ${linkPath} for ${relPath}`);
+        }
+    }
+
+    // Write a single file inside a saved repository folder
+    async writeRepoFile(repoDir, relPath, content) {
+        const filePath = this.resolveRepoFile(repoDir, relPath);
+        await this.assertNoSymlink(repoDir, relPath);
+        await fs.ensureDir(path.dirname(filePath));
+        await fs.writeFile(filePath, content);
+        return filePath;
+    }
+
+    // Create (or repoint) a symlink inside a saved repository folder; content is the link target
+    async writeRepoLink(repoDir, relPath, content) {
+        const filePath = this.resolveRepoFile(repoDir, relPath);
+        await this.assertNoSymlink(repoDir, path.posix.dirname(relPath));
+        await fs.ensureDir(path.dirname(filePath));
+        // Removes an old link itself, not what it points at
+        await fs.remove(filePath);
+        await fs.symlink(content, filePath);
+        return filePath;
+    }
+
+    // Write a tree blob fetched from GitHub as what it is: a file or a symlink
+    async writeRepoBlob(repoDir, blob, content) {
+        return blob.mode === SYMLINK_MODE
+            ? this.writeRepoLink(repoDir, blob.path, content)
+            : this.writeRepoFile(repoDir, blob.path, content);
+    }
+
+    // Remove a single file, and any folders it leaves empty
+    async removeRepoFile(repoDir, relPath) {
+        const filePath = this.resolveRepoFile(repoDir, relPath);
+        // The entry itself may be a link (that only unlinks it), its folders may not
+        await this.assertNoSymlink(repoDir, path.posix.dirname(relPath));
+        await fs.remove(filePath);
+
+        let dir = path.dirname(filePath);
+        while (dir !== path.resolve(repoDir) && (await fs.pathExists(dir)) && (await fs.readdir(dir)).length === 0) {
+            await fs.remove(dir);
+            dir = path.dirname(dir);
+        }
+    }
+
+    // Read a single file from a saved repository folder
+    async readRepoFile(repoDir, relPath, maxSize = 2 * 1024 * 1024) {
+        const filePath = this.resolveRepoFile(repoDir, relPath);
+
+        const stats = await fs.stat(filePath);
+        if (stats.size > maxSize) {
+            return { path: relPath, size: stats.size, binary: false, tooLarge: true, content: null };
+        }
+
+        const buffer = await fs.readFile(filePath);
+        // A NUL byte in the first 8000 bytes is the same heuristic git uses
+        const binary = buffer.subarray(0, 8000).includes(0);
+
+        return {
+            path: relPath,
+            size: stats.size,
+            binary: binary,
+            tooLarge: false,
+            content: binary ? null : buffer.toString('utf8')
+        };
+    }
+
+    // Read a file's raw bytes (images and other assets)
+    async readRepoAsset(repoDir, relPath) {
+        return fs.readFile(this.resolveRepoFile(repoDir, relPath));
+    }
+
+    // Find the README the same way GitHub does: .github/, then the root, then docs/
+    async findReadme(repoDir) {
+        for (const dir of ['.github', '', 'docs']) {
+            const dirPath = path.join(repoDir, dir);
+            if (!(await fs.pathExists(dirPath))) continue;
+
+            const entries = await fs.readdir(dirPath, { withFileTypes: true });
+            const readmes = entries
+                .filter(entry => entry.isFile() && /^readme(\.[a-z]+)?$/i.test(entry.name))
+                .map(entry => entry.name)
+                // Prefer Markdown when a folder has several variants
+                .sort((a, b) => Number(!/\.(md|markdown)$/i.test(a)) - Number(!/\.(md|markdown)$/i.test(b)));
+
+            if (readmes.length > 0) {
+                return dir ? `${dir}/${readmes[0]}` : readmes[0];
+            }
+        }
+        return null;
+    }
+
     // Get repository statistics
     async getRepoStats(fullName) {
         try {
@@ -160,24 +942,23 @@ class RepoStorage {
     }
 
     // Remove repository (metadata and files)
-    async removeRepo(fullName, category) {
+    async removeRepo(fullName, category, ref = undefined) {
         try {
-            // Remove from localStorage
-            const saved = this.getSavedRepos();
-            if (saved[category]) {
-                saved[category] = saved[category].filter(r => r.fullName !== fullName);
-                if (saved[category].length === 0) {
-                    delete saved[category];
-                }
-                localStorage.setItem(this.storageKey, JSON.stringify(saved));
+            const repo = this.findSavedRepo(fullName, category, ref);
+
+            // Remove from the library database
+            if (this.db && repo) {
+                this.db.data.repos = this.db.data.repos.filter(r => r.id !== repo.id);
+                this.writeDb();
             }
 
             // Remove files from disk
-            const repoPath = this.getRepoPath(fullName);
+            const repoPath = repo ? repo.localPath : this.getRepoPath(fullName, category, ref || null);
             if (await fs.pathExists(repoPath)) {
                 await fs.remove(repoPath);
                 console.log(`🗑️ Removed repository files: ${repoPath}`);
             }
+            await this.removeEmptyCategoryDir(path.dirname(repoPath));
 
             return true;
         } catch (error) {
@@ -186,38 +967,96 @@ class RepoStorage {
         }
     }
 
-    // Get total storage usage
-    async getStorageUsage() {
+    // Get total storage usage, broken down by category and repo
+    async getStorageUsage(options = {}) {
+        const { largestCount = 10 } = options;
+        const usage = {
+            totalSize: 0,
+            repoCount: 0,
+            basePath: this.baseDir,
+            categories: [],
+            repos: [],
+            largestFiles: [],
+            otherSize: 0
+        };
+
         try {
             if (!(await fs.pathExists(this.baseDir))) {
-                return { totalSize: 0, repoCount: 0 };
+                return usage;
             }
 
-            const repos = await fs.readdir(this.baseDir);
-            let totalSize = 0;
+            const categories = new Map();
+            let largest = [];
 
-            for (const repo of repos) {
-                const repoPath = path.join(this.baseDir, repo);
-                const stats = await fs.stat(repoPath);
-                if (stats.isDirectory()) {
-                    // Get directory size (simplified)
-                    const files = await this.getDirectorySize(repoPath);
-                    totalSize += files;
-                }
+            for (const repo of this.getAllRepos()) {
+                // Linked repos take no space in RepoSpace; their files stay where they were
+                const files = !repo.linked && (await fs.pathExists(repo.localPath)) ? await this.collectFileSizes(repo.localPath) : [];
+                const size = files.reduce((total, file) => total + file.size, 0);
+
+                usage.repos.push({
+                    id: repo.id,
+                    fullName: repo.fullName,
+                    category: repo.category,
+                    size: size,
+                    fileCount: files.length,
+                    savedAt: repo.savedAt,
+                    syncedAt: repo.syncedAt || null,
+                    lastOpenedAt: repo.lastOpenedAt || null
+                });
+
+                const category = categories.get(repo.category) || { category: repo.category, size: 0, repoCount: 0 };
+                category.size += size;
+                category.repoCount++;
+                categories.set(repo.category, category);
+
+                // Keep only the running top N so huge libraries don't hold every file in memory
+                largest = largest
+                    .concat(files
+                        .filter(file => !INTERNAL_ENTRIES.has(file.path))
+                        .map(file => ({ repoId: repo.id, fullName: repo.fullName, path: file.path, size: file.size })))
+                    .sort((a, b) => b.size - a.size)
+                    .slice(0, largestCount);
             }
 
-            return {
-                totalSize: totalSize,
-                repoCount: repos.length,
-                basePath: this.baseDir
-            };
+            usage.repos.sort((a, b) => b.size - a.size);
+            usage.categories = [...categories.values()].sort((a, b) => b.size - a.size);
+            usage.largestFiles = largest;
+            usage.repoCount = usage.repos.length;
+            usage.totalSize = await this.getDirectorySize(this.baseDir);
+            // Search index, library file and folders that aren't in the library
+            usage.otherSize = Math.max(0, usage.totalSize - usage.repos.reduce((total, repo) => total + repo.size, 0));
 
+            return usage;
         } catch (error) {
             console.error('Failed to calculate storage usage:', error);
-            return { totalSize: 0, repoCount: 0 };
+            return usage;
         }
     }
 
+    // List every file under a folder with its size (.git included, symlinks not followed)
+    async collectFileSizes(dirPath, rootDir = dirPath, files = []) {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+            const entryPath = path.join(dirPath, entry.name);
+            if (entry.isDirectory()) {
+                await this.collectFileSizes(entryPath, rootDir, files);
+            } else if (entry.isFile()) {
+                const stats = await fs.lstat(entryPath);
+                files.push({ path: path.relative(rootDir, entryPath).split(path.sep).join('/'), size: stats.size });
+            }
+        }
+        return files;
+    }
+
+    // Saved repos that haven't been opened (or saved, if never opened) since the cutoff
+    getStaleRepos(months) {
+        const cutoff = new Date();
+        cutoff.setMonth(cutoff.getMonth() - months);
+
+        return this.getAllRepos().filter(repo => new Date(repo.lastOpenedAt || repo.savedAt) < cutoff);
+    }
+
     // Helper: Calculate directory size
     async getDirectorySize(dirPath) {
         try {
@@ -226,7 +1065,7 @@ class RepoStorage {
 
             for (const file of files) {
                 const filePath = path.join(dirPath, file);
-                const stats = await fs.stat(filePath);
+                const stats = await fs.lstat(filePath);
 
                 if (stats.isDirectory()) {
                     size += await this.getDirectorySize(filePath);
@@ -0,0 +1,187 @@
+// repo-updater.js - Brings saved repositories up to date with upstream
+const FileFilter = require('./file-filter');
+
+// The compare API lists at most 300 changed files
+const COMPARE_FILE_LIMIT = 300;
+
+// Folders added from disk that have nothing to update from, or that RepoSpace must not touch
+function isUpdatable(repo) {
+    return repo.mode !== 'local' && !repo.linked;
+}
+
+class RepoUpdater {
+    constructor(githubAPI, repoStorage) {
+        this.githubAPI = githubAPI;
+        this.repoStorage = repoStorage;
+        this.onComplete = null; // called with the library entry after every applied update
+    }
+
+    // Compare the stored commit SHA with the current upstream HEAD
+    async checkForUpdate(repo) {
+        if (!isUpdatable(repo)) {
+            return { repo: repo, localSha: null, remoteSha: null, updateAvailable: false };
+        }
+
+        const meta = (await this.repoStorage.readRepoMetadata(repo.localPath)) || {};
+        const localSha = meta.commitSha || null;
+        let remoteSha;
+
+        if (meta.mode === 'clone') {
+            remoteSha = await this.repoStorage.git.getRemoteSha(repo.localPath, meta.ref);
+        } else {
+            const [owner, name] = repo.fullName.split('/');
+            const ref = meta.ref || (await this.githubAPI.getRepository(owner, name)).default_branch;
+            remoteSha = await this.githubAPI.getCommitSha(owner, name, ref);
+        }
+
+        const updateAvailable = localSha !== remoteSha;
+        this.repoStorage.updateRepo(repo.id, { updateAvailable: updateAvailable, checkedAt: new Date().toISOString() });
+
+        return { repo: repo, localSha: localSha, remoteSha: remoteSha, updateAvailable: updateAvailable };
+    }
+
+    // Check every saved repo, collecting failures instead of stopping at the first one
+    async checkAll(onProgress = null) {
+        const repos = this.repoStorage.getAllRepos().filter(isUpdatable);
+        const results = [];
+
+        for (let i = 0; i < repos.length; i++) {
+            if (onProgress) onProgress({ current: i + 1, total: repos.length, repo: repos[i] });
+            try {
+                results.push(await this.checkForUpdate(repos[i]));
+            } catch (error) {
+                console.error(`❌ Update check failed for ${repos[i].fullName}:`, error);
+                results.push({ repo: repos[i], error: error.message, updateAvailable: false });
+            }
+        }
+
+        return results;
+    }
+
+    // Fetch only what changed upstream and apply it in place
+    async updateRepo(repo, onProgress = null) {
+        if (repo.linked) {
+            throw new Error(`${repo.fullName} is linked to ${repo.sourcePath || 'a folder outside RepoSpace'}; update it with git there`);
+        }
+        if (repo.mode === 'local') {
+            throw new Error(`${repo.fullName} was added from a local folder and has no upstream to update from`);
+        }
+
+        const meta = (await this.repoStorage.readRepoMetadata(repo.localPath)) || {};
+        const result = meta.mode === 'clone'
+            ? await this.updateClone(repo, meta)
+            : await this.updateArchive(repo, meta, onProgress);
+
+        const syncedAt = new Date().toISOString();
+        await this.repoStorage.writeRepoMetadata(repo.localPath, {
+            ...meta,
+            commitSha: result.commitSha,
+            syncedAt: syncedAt
+        });
+        this.repoStorage.updateRepo(repo.id, { updateAvailable: false, syncedAt: syncedAt });
+        if (this.onComplete && !result.upToDate) this.onComplete(repo);
+
+        console.log(`🔄 Updated ${repo.fullName}: ${result.changed} changed, ${result.removed} removed`);
+        return result;
+    }
+
+    async updateClone(repo, meta) {
+        const git = this.repoStorage.git;
+        const before = await git.getHeadSha(repo.localPath);
+        await git.pull(repo.localPath, { ref: meta.ref, shallow: meta.shallow });
+        const after = await git.getHeadSha(repo.localPath);
+
+        const changedFiles = before === after ? [] : await git.getChangedFiles(repo.localPath, before, after);
+        return {
+            commitSha: after,
+            changed: changedFiles.length,
+            removed: 0,
+            upToDate: before === after
+        };
+    }
+
+    async updateArchive(repo, meta, onProgress) {
+        const [owner, name] = repo.fullName.split('/');
+        const ref = meta.ref || (await this.githubAPI.getRepository(owner, name)).default_branch;
+        const headSha = await this.githubAPI.getCommitSha(owner, name, ref);
+
+        if (meta.commitSha === headSha) {
+            return { commitSha: headSha, changed: 0, removed: 0, upToDate: true };
+        }
+
+        const filter = meta.filter ? FileFilter.from(meta.filter) : null;
+        const diff = await this.getChanges(repo, owner, name, meta.commitSha, headSha, filter);
+
+        for (let i = 0; i < diff.changed.length; i++) {
+            const file = diff.changed[i];
+            if (onProgress) onProgress({ current: i + 1, total: diff.changed.length, path: file.path });
+
+            const content = await this.githubAPI.getBlob(owner, name, file.sha);
+            await this.repoStorage.writeRepoBlob(repo.localPath, file, content);
+        }
+
+        for (const filePath of diff.removed) {
+            await this.repoStorage.removeRepoFile(repo.localPath, filePath);
+        }
+
+        return { commitSha: headSha, changed: diff.changed.length, removed: diff.removed.length, upToDate: false };
+    }
+
+    // Work out which files differ between the saved commit and the new HEAD
+    async getChanges(repo, owner, name, baseSha, headSha, filter = null) {
+        // The compare API has no file sizes, so a size cap needs the tree
+        if (baseSha && !(filter && filter.maxFileSize)) {
+            try {
+                const comparison = await this.githubAPI.compareCommits(owner, name, baseSha, headSha);
+                const files = comparison.files || [];
+
+                if (files.length < COMPARE_FILE_LIMIT) {
+                    const diff = { changed: [], removed: [] };
+                    for (const file of files) {
+                        if (file.status === 'removed') {
+                            diff.removed.push(file.filename);
+                            continue;
+                        }
+                        if (file.status === 'renamed' && file.previous_filename) {
+                            diff.removed.push(file.previous_filename);
+                        }
+                        if (file.status !== 'unchanged') {
+                            diff.changed.push({ path: file.filename, sha: file.sha });
+                        }
+                    }
+                    if (filter) {
+                        diff.changed = diff.changed.filter(file => filter.matches(file.path));
+                        diff.removed = diff.removed.filter(filePath => filter.matches(filePath));
+                    }
+                    // Compared files carry no mode, so a change that involves a symlink needs the tree
+                    if (!(await this.touchesSymlink(repo, diff))) {
+                        return diff;
+                    }
+                    console.warn(`Changes in ${repo.fullName} involve symlinks, diffing the tree instead`);
+                }
+            } catch (error) {
+                // A force-push can make the old commit unreachable; fall back to the tree
+                console.warn(`Compare failed for ${repo.fullName}, diffing the tree instead:`, error.message);
+            }
+        }
+
+        return this.getTreeChanges(repo, owner, name, headSha, filter);
+    }
+
+    // Whether any changed file is, or sits below, a symlink in the saved folder
+    async touchesSymlink(repo, diff) {
+        for (const file of diff.changed) {
+            if (await this.repoStorage.findSymlinkInPath(repo.localPath, file.path)) return true;
+        }
+        return false;
+    }
+
+    // Diff the upstream tree against the files actually on disk
+    async getTreeChanges(repo, owner, name, headSha, filter = null) {
+        const tree = await this.githubAPI.getTree(owner, name, headSha);
+        const blobs = tree.filter(item => item.type === 'blob' && (!filter || filter.matches(item.path, item.size)));
+        return this.repoStorage.diffAgainstTree(repo.localPath, blobs);
+    }
+}
+
+module.exports = RepoUpdater;
@@ -0,0 +1,219 @@
+// search-index.js - Offline full-text index over saved repositories
+const fs = require('fs-extra');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+// Files bigger than this are skipped (minified bundles, data dumps...)
+const MAX_INDEXED_FILE_SIZE = 512 * 1024;
+
+// Extension -> language, for `lang:` queries
+const LANGUAGES = {
+    js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+    ts: 'TypeScript', tsx: 'TypeScript',
+    py: 'Python', rb: 'Ruby', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin',
+    swift: 'Swift', c: 'C', h: 'C', cpp: 'C++', cc: 'C++', hpp: 'C++', cs: 'C#',
+    php: 'PHP', sh: 'Shell', bash: 'Shell', html: 'HTML', css: 'CSS', scss: 'SCSS',
+    json: 'JSON', yml: 'YAML', yaml: 'YAML', md: 'Markdown', sql: 'SQL', lua: 'Lua',
+    dart: 'Dart', sol: 'Solidity', vue: 'Vue'
+};
+
+function languageForPath(filePath) {
+    const extension = filePath.includes('.') ? filePath.split('.').pop().toLowerCase() : '';
+    return LANGUAGES[extension] || null;
+}
+
+function tokenize(text) {
+    return text.toLowerCase().match(/[a-z0-9_]{2,40}/g) || [];
+}
+
+class SearchIndex {
+    constructor(repoStorage) {
+        this.repoStorage = repoStorage;
+        this.indexDir = path.join(repoStorage.baseDir, '.repospace-index');
+        this.cache = new Map(); // repo id -> loaded index
+    }
+
+    getIndexPath(repoId) {
+        return path.join(this.indexDir, `${repoId}.json`);
+    }
+
+    async hasIndex(repoId) {
+        return this.cache.has(repoId) || fs.pathExists(this.getIndexPath(repoId));
+    }
+
+    // (Re)build the index for one saved repository
+    async build(repo) {
+        try {
+            const files = [];
+            const postings = {};
+            const paths = await this.repoStorage.listRepoFiles(repo.localPath);
+
+            for (const relPath of paths) {
+                const file = await this.repoStorage.readRepoFile(repo.localPath, relPath, MAX_INDEXED_FILE_SIZE);
+                if (file.binary || file.tooLarge) continue;
+
+                const fileIndex = files.length;
+                files.push({ path: relPath, language: languageForPath(relPath), size: file.size });
+
+                // Path segments are searchable too
+                for (const token of new Set(tokenize(`${relPath}\n${file.content}`))) {
+                    (postings[token] = postings[token] || []).push(fileIndex);
+                }
+            }
+
+            const index = {
+                version: 1,
+                repoId: repo.id,
+                fullName: repo.fullName,
+                builtAt: new Date().toISOString(),
+                files: files,
+                postings: postings
+            };
+
+            await fs.ensureDir(this.indexDir);
+            await fs.writeJSON(this.getIndexPath(repo.id), index);
+            this.cache.set(repo.id, index);
+
+            console.log(`🔎 Indexed ${files.length} files of ${repo.fullName}`);
+            return index;
+        } catch (error) {
+            console.error(`Failed to index ${repo.fullName}:`, error);
+            throw error;
+        }
+    }
+
+    async remove(repoId) {
+        this.cache.delete(repoId);
+        await fs.remove(this.getIndexPath(repoId));
+    }
+
+    async load(repoId) {
+        if (this.cache.has(repoId)) {
+            return this.cache.get(repoId);
+        }
+        const indexPath = this.getIndexPath(repoId);
+        if (!(await fs.pathExists(indexPath))) {
+            return null;
+        }
+        const index = await fs.readJSON(indexPath);
+        this.cache.set(repoId, index);
+        return index;
+    }
+
+    // Saved repos that have never been indexed
+    async getUnindexedRepos() {
+        const unindexed = [];
+        for (const repo of this.repoStorage.getAllRepos()) {
+            if (repo.status !== 'partial' && !(await this.hasIndex(repo.id))) {
+                unindexed.push(repo);
+            }
+        }
+        return unindexed;
+    }
+
+    // Split "foo \"exact phrase\" path:src/** lang:js category:tools" into parts
+    parseQuery(query) {
+        const parsed = { terms: [], path: null, language: null, category: null, repo: null };
+        const pattern = /(\w+):("[^"]*"|\S+)|"([^"]+)"|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            if (match[1]) {
+                const key = match[1].toLowerCase();
+                const value = match[2].replace(/^"|"$/g, '');
+                if (key === 'path') parsed.path = value;
+                else if (key === 'lang' || key === 'language') parsed.language = value.toLowerCase();
+                else if (key === 'category') parsed.category = value.toLowerCase();
+                else if (key === 'repo') parsed.repo = value.toLowerCase();
+                else parsed.terms.push(match[0]);
+            } else {
+                parsed.terms.push(match[3] || match[4]);
+            }
+        }
+
+        parsed.terms = parsed.terms.map(term => term.toLowerCase()).filter(Boolean);
+        return parsed;
+    }
+
+    matchesLanguage(file, language) {
+        if (!language) return true;
+        const extension = file.path.includes('.') ? file.path.split('.').pop().toLowerCase() : '';
+        return extension === language || (file.language || '').toLowerCase() === language;
+    }
+
+    // Search every saved repo; returns matching lines
+    async search(query, options = {}) {
+        const { limit = 200 } = options;
+        const parsed = this.parseQuery(query);
+        const results = [];
+
+        if (parsed.terms.length === 0 && !parsed.path) {
+            return results;
+        }
+
+        for (const repo of this.repoStorage.getAllRepos()) {
+            if (parsed.category && repo.category.toLowerCase() !== parsed.category) continue;
+            if (parsed.repo && !repo.fullName.toLowerCase().includes(parsed.repo)) continue;
+
+            const index = await this.load(repo.id);
+            if (!index) continue;
+
+            for (const fileIndex of this.findCandidates(index, parsed)) {
+                const file = index.files[fileIndex];
+                if (!this.matchesLanguage(file, parsed.language)) continue;
+                if (parsed.path && !minimatch(file.path, parsed.path, { matchBase: true, dot: true, nocase: true })) continue;
+
+                // Path-only queries list the file itself
+                if (parsed.terms.length === 0) {
+                    results.push({ repo: repo, path: file.path, line: null, text: '' });
+                } else {
+                    results.push(...await this.findLines(repo, file.path, parsed.terms));
+                }
+
+                if (results.length >= limit) {
+                    return results.slice(0, limit);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    // Files containing every token of every term
+    findCandidates(index, parsed) {
+        const tokens = [...new Set(parsed.terms.flatMap(tokenize))];
+        if (tokens.length === 0) {
+            return index.files.map((file, i) => i);
+        }
+
+        let candidates = null;
+        for (const token of tokens) {
+            const files = new Set(index.postings[token] || []);
+            candidates = candidates ? new Set([...candidates].filter(i => files.has(i))) : files;
+            if (candidates.size === 0) break;
+        }
+        return [...candidates];
+    }
+
+    // Scan the file on disk for lines that contain any of the terms
+    async findLines(repo, relPath, terms) {
+        const matches = [];
+        try {
+            const file = await this.repoStorage.readRepoFile(repo.localPath, relPath, MAX_INDEXED_FILE_SIZE);
+            if (!file.content) return matches;
+
+            file.content.split('\n').forEach((text, i) => {
+                const lower = text.toLowerCase();
+                if (terms.some(term => lower.includes(term))) {
+                    matches.push({ repo: repo, path: relPath, line: i + 1, text: text.trim().slice(0, 300) });
+                }
+            });
+        } catch (error) {
+            // The index can be older than the files; skip anything that moved
+            console.warn(`Skipping ${repo.fullName}/${relPath}:`, error.message);
+        }
+        return matches;
+    }
+}
+
+module.exports = SearchIndex;
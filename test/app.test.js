@@ -0,0 +1,30 @@
+// app.test.js - Page helpers that don't need a window
+const test = require('node:test');
+const assert = require('node:assert');
+
+// app.js reads the preload bridge when it loads; the helpers tested here never use it
+global.window = { repospace: {} };
+const RepoSpaceApp = require('../app');
+
+const app = Object.create(RepoSpaceApp.prototype);
+
+test('highlightTerms marks every term, ignoring case', () => {
+    assert.strictEqual(app.highlightTerms('Fetch the data, then fetch more', ['fetch']),
+        '<mark>Fetch</mark> the data, then <mark>fetch</mark> more');
+});
+
+test('highlightTerms never marks inside the entities escaping produces', () => {
+    const text = 'if (a < b && c > "d") {}';
+    assert.strictEqual(app.highlightTerms(text, ['amp', 'lt', 'gt', 'quot']), app.escapeHtml(text));
+    assert.strictEqual(app.highlightTerms('example & sample', ['amp']), 'ex<mark>amp</mark>le &amp; s<mark>amp</mark>le');
+});
+
+test('highlightTerms escapes the matched text too', () => {
+    assert.strictEqual(app.highlightTerms('<Div class="x">', ['<div']), '<mark>&lt;Div</mark> class=&quot;x&quot;&gt;');
+});
+
+test('highlightTerms prefers the longer of overlapping terms', () => {
+    assert.strictEqual(app.highlightTerms('render renderer', ['render', 'renderer']), '<mark>render</mark> <mark>renderer</mark>');
+    assert.strictEqual(app.highlightTerms('a.b*c', ['.', '*']), 'a<mark>.</mark>b<mark>*</mark>c');
+    assert.strictEqual(app.highlightTerms('plain', []), 'plain');
+});
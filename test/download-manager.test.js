@@ -0,0 +1,158 @@
+// download-manager.test.js - Resuming interrupted archive saves and dropping failed clones
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const tar = require('tar');
+const RepoStorage = require('../repo-storage');
+const DownloadManager = require('../download-manager');
+
+const blobSha = (content) => crypto.createHash('sha1')
+    .update(`blob ${Buffer.byteLength(content)}\0`)
+    .update(content)
+    .digest('hex');
+
+// Serves one commit of `files` the way GitHub does: a tree, blobs and a wrapped tarball.
+// `failArchives` tarball requests break off halfway through.
+async function fakeGitHub(root, files, options = {}) {
+    const { failArchives = 0, truncated = false } = options;
+    const wrapper = path.join(root, 'archive-src');
+    for (const [filePath, content] of Object.entries(files)) {
+        await fs.outputFile(path.join(wrapper, 'octo-hello-abc123', filePath), content);
+    }
+    const chunks = [];
+    for await (const chunk of tar.c({ cwd: wrapper, gzip: true, portable: true }, ['octo-hello-abc123'])) {
+        chunks.push(chunk);
+    }
+    const archive = Buffer.concat(chunks);
+
+    const blobs = new Map();
+    const tree = Object.entries(files).map(([filePath, content]) => {
+        blobs.set(blobSha(content), Buffer.from(content));
+        return { path: filePath, mode: '100644', type: 'blob', sha: blobSha(content), size: Buffer.byteLength(content) };
+    });
+
+    const github = {
+        archiveRequests: 0,
+        blobRequests: 0,
+        getRepository: async () => ({ default_branch: 'main' }),
+        getCommitSha: async () => 'abc123',
+        getTree: async () => {
+            if (truncated) throw Object.assign(new Error('Tree is too large'), { truncated: true });
+            return tree;
+        },
+        getBlob: async (owner, name, sha) => {
+            github.blobRequests++;
+            return blobs.get(sha);
+        },
+        getRepositoryArchiveStream: async () => {
+            github.archiveRequests++;
+            if (github.archiveRequests > failArchives) {
+                return { stream: Readable.from([archive]), totalBytes: archive.length };
+            }
+            const stream = new Readable({ read() {} });
+            stream.push(archive.subarray(0, Math.floor(archive.length / 2)));
+            setImmediate(() => stream.destroy(new Error('socket hang up')));
+            return { stream: stream, totalBytes: archive.length };
+        }
+    };
+    return github;
+}
+
+function createFiles(count) {
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        files[`src/file-${i}.txt`] = `file ${i}\n`.repeat(200);
+    }
+    return files;
+}
+
+async function setup(t) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'repospace-downloads-'));
+    t.after(() => fs.remove(root));
+
+    const storage = new RepoStorage();
+    storage.baseDir = root;
+    const repo = { id: 'repo-1', fullName: 'octo/hello', category: 'work', localPath: path.join(root, 'work', 'octo-hello') };
+    storage.db = { data: { version: 1, repos: [repo] }, write() {} };
+    return { root, storage, repo };
+}
+
+async function assertSaved(repo, files) {
+    for (const [filePath, content] of Object.entries(files)) {
+        assert.strictEqual(await fs.readFile(path.join(repo.localPath, filePath), 'utf8'), content, filePath);
+    }
+    assert.ok(!(await fs.pathExists(path.join(repo.localPath, '.repospace-partial.json'))));
+    assert.strictEqual(repo.status, 'complete');
+}
+
+test('a save that broke off resumes from the files already on disk', async (t) => {
+    const { root, storage, repo } = await setup(t);
+    const files = createFiles(5);
+    const github = await fakeGitHub(root, files, { failArchives: 1 });
+    const manager = new DownloadManager(github, storage);
+
+    await assert.rejects(manager.download(repo), /socket hang up/);
+    assert.strictEqual(repo.status, 'partial');
+    // Left behind by the failed attempt; upstream doesn't have it
+    await fs.outputFile(path.join(repo.localPath, 'stale.txt'), 'stale');
+
+    await manager.download(repo);
+
+    await assertSaved(repo, files);
+    assert.ok(!(await fs.pathExists(path.join(repo.localPath, 'stale.txt'))));
+    assert.strictEqual(github.archiveRequests, 1);
+    assert.ok(github.blobRequests <= 5);
+});
+
+test('a resume missing many files unpacks the archive instead of fetching each blob', async (t) => {
+    const { root, storage, repo } = await setup(t);
+    const files = createFiles(30);
+    const github = await fakeGitHub(root, files);
+    const manager = new DownloadManager(github, storage);
+
+    await fs.outputFile(path.join(repo.localPath, 'src/file-0.txt'), files['src/file-0.txt']);
+    await fs.outputFile(path.join(repo.localPath, 'src/file-1.txt'), 'half written');
+    await fs.outputJSON(path.join(repo.localPath, '.repospace-partial.json'), { fullName: repo.fullName, ref: 'main', commitSha: 'abc123' });
+
+    const reports = [];
+    await manager.download(repo, { onProgress: (progress) => reports.push(progress) });
+
+    await assertSaved(repo, files);
+    assert.strictEqual(github.blobRequests, 0);
+    assert.strictEqual(github.archiveRequests, 1);
+    const last = reports[reports.length - 1];
+    assert.strictEqual(last.filesDone, 30);
+    assert.strictEqual(last.filesTotal, 30);
+});
+
+test('a tree too large to list is saved from the whole archive, never diffed', async (t) => {
+    const { root, storage, repo } = await setup(t);
+    const files = createFiles(3);
+    const github = await fakeGitHub(root, files, { truncated: true });
+    const manager = new DownloadManager(github, storage);
+
+    await fs.outputFile(path.join(repo.localPath, 'src/file-0.txt'), files['src/file-0.txt']);
+    await fs.outputJSON(path.join(repo.localPath, '.repospace-partial.json'), { fullName: repo.fullName, ref: 'main', commitSha: 'abc123' });
+
+    await manager.download(repo);
+
+    await assertSaved(repo, files);
+    assert.strictEqual(github.blobRequests, 0);
+    assert.strictEqual((await storage.readRepoMetadata(repo.localPath)).fileCount, 3);
+});
+
+test('a clone that fails leaves no library entry or folder behind', async (t) => {
+    const { root, storage, repo } = await setup(t);
+    if (!(await storage.git.isAvailable())) return t.skip('git is not installed');
+    const manager = new DownloadManager(null, storage);
+
+    await assert.rejects(manager.clone(repo, path.join(root, 'missing.git')));
+
+    assert.deepStrictEqual(storage.getAllRepos(), []);
+    assert.ok(!(await fs.pathExists(repo.localPath)));
+    assert.ok(!manager.isActive(repo.id));
+});
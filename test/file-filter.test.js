@@ -0,0 +1,65 @@
+// file-filter.test.js - Include/exclude globs and the size cap
+const test = require('node:test');
+const assert = require('node:assert');
+const FileFilter = require('../file-filter');
+
+test('parsePatterns splits on commas and newlines', () => {
+    assert.deepStrictEqual(FileFilter.parsePatterns(' src/**, docs\n*.md,,\n'), ['src/**', 'docs', '*.md']);
+    assert.deepStrictEqual(FileFilter.parsePatterns(null), []);
+});
+
+test('an empty filter matches everything', () => {
+    const filter = new FileFilter();
+    assert.ok(filter.isEmpty());
+    assert.ok(filter.matches('any/file.bin', 10 * 1024 * 1024));
+});
+
+test('unanchored patterns match at any depth', () => {
+    const filter = new FileFilter({ include: ['*.md'] });
+    assert.ok(filter.matches('README.md'));
+    assert.ok(filter.matches('docs/guide/intro.md'));
+    assert.ok(!filter.matches('src/index.js'));
+});
+
+test('a leading slash anchors to the repo root', () => {
+    const filter = new FileFilter({ include: ['/docs'] });
+    assert.ok(filter.matches('docs/intro.md'));
+    assert.ok(!filter.matches('packages/a/docs/intro.md'));
+});
+
+test('matching a folder matches everything in it', () => {
+    const filter = new FileFilter({ exclude: ['node_modules', 'test/fixtures'] });
+    assert.ok(!filter.matches('node_modules/pkg/index.js'));
+    assert.ok(!filter.matches('packages/a/node_modules/pkg/index.js'));
+    assert.ok(!filter.matches('packages/a/test/fixtures/data.json'));
+    assert.ok(filter.matches('test/unit.js'));
+});
+
+test('exclude wins over include', () => {
+    const filter = new FileFilter({ include: ['src/**'], exclude: ['*.test.js'] });
+    assert.ok(filter.matches('src/app.js'));
+    assert.ok(!filter.matches('src/app.test.js'));
+    assert.ok(!filter.matches('lib/app.js'));
+});
+
+test('dotfiles are matched like any other file', () => {
+    const filter = new FileFilter({ exclude: ['.github'] });
+    assert.ok(!filter.matches('.github/workflows/ci.yml'));
+});
+
+test('the size cap only applies when the size is known', () => {
+    const filter = new FileFilter({ maxFileSize: 1024 });
+    assert.ok(filter.matches('small.bin', 1024));
+    assert.ok(!filter.matches('large.bin', 1025));
+    assert.ok(filter.matches('unknown.bin'));
+    assert.ok(filter.matches('unknown.bin', null));
+});
+
+test('from() rebuilds a stored filter', () => {
+    const stored = new FileFilter({ include: ['src'], maxFileSize: 5 }).toJSON();
+    const filter = FileFilter.from(JSON.parse(JSON.stringify(stored)));
+    assert.ok(filter instanceof FileFilter);
+    assert.deepStrictEqual(filter.toJSON(), { include: ['src'], exclude: [], maxFileSize: 5 });
+    assert.strictEqual(FileFilter.from(filter), filter);
+    assert.ok(FileFilter.from(null).isEmpty());
+});
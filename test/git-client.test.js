@@ -0,0 +1,113 @@
+// git-client.test.js - Remote lookups and refs for saved clones
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const GitClient = require('../git-client');
+const RepoStorage = require('../repo-storage');
+
+const git = new GitClient();
+const author = ['-c', 'user.name=RepoSpace', '-c', 'user.email=repospace@example.com'];
+
+// An upstream with an annotated tag on its first commit and one more commit on top
+async function createUpstream(t) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'repospace-git-'));
+    t.after(() => fs.remove(root));
+
+    const upstream = path.join(root, 'upstream');
+    await fs.ensureDir(upstream);
+    await git.run(['init', '--quiet', '--initial-branch=main'], { cwd: upstream });
+    await fs.outputFile(path.join(upstream, 'README.md'), 'one');
+    await git.run(['add', '.'], { cwd: upstream });
+    await git.run([...author, 'commit', '--quiet', '-m', 'one'], { cwd: upstream });
+    const first = await git.getHeadSha(upstream);
+    await git.run([...author, 'tag', '-a', 'v1.0', '-m', 'Release 1.0'], { cwd: upstream });
+    await fs.outputFile(path.join(upstream, 'README.md'), 'two');
+    await git.run([...author, 'commit', '--quiet', '-am', 'two'], { cwd: upstream });
+
+    return { root, upstream, first, head: await git.getHeadSha(upstream) };
+}
+
+test('getRemoteSha looks up branches and HEAD on the remote', async (t) => {
+    if (!(await git.isAvailable())) return t.skip('git is not installed');
+    const { root, upstream, head } = await createUpstream(t);
+    const clone = await git.clone(upstream, path.join(root, 'clone'));
+
+    assert.strictEqual(await git.getRemoteSha(clone, 'main'), head);
+    assert.strictEqual(await git.getRemoteSha(clone), head);
+    await assert.rejects(git.getRemoteSha(clone, 'missing'), /Ref not found/);
+});
+
+test('pull moves a clone to the new upstream commit', async (t) => {
+    if (!(await git.isAvailable())) return t.skip('git is not installed');
+    const { root, upstream, head } = await createUpstream(t);
+    const clone = await git.clone(upstream, path.join(root, 'clone'));
+    await git.run(['reset', '--quiet', '--hard', 'HEAD~1'], { cwd: clone });
+
+    await git.pull(clone, { ref: 'main' });
+    assert.strictEqual(await git.getHeadSha(clone), head);
+    assert.deepStrictEqual(await git.getChangedFiles(clone, 'HEAD~1', 'HEAD'), ['README.md']);
+});
+
+test('clone checks out a tag or a pinned commit', async (t) => {
+    if (!(await git.isAvailable())) return t.skip('git is not installed');
+    const { root, upstream, first } = await createUpstream(t);
+
+    const tagged = await git.clone(upstream, path.join(root, 'tagged'), { ref: 'v1.0', depth: 1 });
+    assert.strictEqual(await git.getHeadSha(tagged), first);
+
+    const pinned = await git.clone(upstream, path.join(root, 'pinned'), { ref: first, depth: 1 });
+    assert.strictEqual(await git.getHeadSha(pinned), first);
+    assert.strictEqual(await git.getCurrentBranch(pinned), null);
+    // A pinned SHA never moves, even though ls-remote doesn't list it
+    assert.strictEqual(await git.getRemoteSha(pinned, first), first);
+});
+
+test('clone treats a hex-only branch name as a branch, not a commit', async (t) => {
+    if (!(await git.isAvailable())) return t.skip('git is not installed');
+    const { root, upstream, first } = await createUpstream(t);
+    await git.run(['branch', '1234567', first], { cwd: upstream });
+
+    const clone = await git.clone(upstream, path.join(root, 'clone'), { ref: '1234567', depth: 1 });
+    assert.strictEqual(await git.getHeadSha(clone), first);
+    assert.strictEqual(await git.getCurrentBranch(clone), '1234567');
+});
+
+test('getRemoteSha resolves an annotated tag to its commit', async (t) => {
+    if (!(await git.isAvailable())) return t.skip('git is not installed');
+    const { root, upstream, first } = await createUpstream(t);
+    const clone = await git.clone(upstream, path.join(root, 'clone'), { ref: 'v1.0' });
+
+    assert.strictEqual(await git.getRemoteSha(clone, 'v1.0'), first);
+    assert.strictEqual(await git.getRemoteSha(clone, 'v1.0'), await git.getHeadSha(clone));
+});
+
+test('a clone pinned by short SHA stores the full SHA as its ref', async (t) => {
+    if (!(await git.isAvailable())) return t.skip('git is not installed');
+    const { root, upstream, first } = await createUpstream(t);
+    const storage = new RepoStorage();
+    storage.baseDir = root;
+
+    const repoDir = await storage.saveRepositoryClone('octo/hello', upstream, 'work', { ref: first.slice(0, 7), shallow: false });
+    const meta = await storage.readRepoMetadata(repoDir);
+
+    assert.strictEqual(meta.ref, first);
+    assert.strictEqual(meta.commitSha, first);
+    assert.strictEqual(await git.getRemoteSha(repoDir, meta.ref), first);
+    await git.pull(repoDir, { ref: meta.ref });
+    assert.strictEqual(await git.getHeadSha(repoDir), first);
+});
+
+test('refs that git could read as options never reach it', async (t) => {
+    if (!(await git.isAvailable())) return t.skip('git is not installed');
+    const { root, upstream } = await createUpstream(t);
+    const clone = await git.clone(upstream, path.join(root, 'clone'));
+    const marker = path.join(root, 'pwned');
+
+    for (const ref of [`--upload-pack=touch ${marker}`, '-main', 'main..v1.0', 'bad ref']) {
+        await assert.rejects(git.getRemoteSha(clone, ref), /Invalid ref/, ref);
+        await assert.rejects(git.pull(clone, { ref: ref }), /Invalid ref/, ref);
+    }
+    assert.ok(!(await fs.pathExists(marker)));
+});
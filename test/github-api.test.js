@@ -0,0 +1,74 @@
+// github-api.test.js - Search query building and retry delays
+const test = require('node:test');
+const assert = require('node:assert');
+const GitHubAPI = require('../github-api');
+
+const api = new GitHubAPI();
+
+test('buildSearchQuery keeps plain text as is', () => {
+    assert.strictEqual(api.buildSearchQuery('electron app'), 'electron app');
+    assert.strictEqual(api.buildSearchQuery(''), '');
+});
+
+test('buildSearchQuery adds qualifiers and quotes values with spaces', () => {
+    const query = api.buildSearchQuery('ui', {
+        language: 'Visual Basic',
+        topics: ['react', 'design system'],
+        license: 'mit',
+        pushedAfter: '2024-01-01',
+        forks: 'true',
+        archived: 'false'
+    });
+    assert.strictEqual(query, 'ui language:"Visual Basic" pushed:>=2024-01-01 topic:react topic:"design system" license:mit fork:true archived:false');
+});
+
+test('buildSearchQuery turns star bounds into ranges', () => {
+    assert.strictEqual(api.buildSearchQuery('', { minStars: 10, maxStars: 100 }), 'stars:10..100');
+    assert.strictEqual(api.buildSearchQuery('', { minStars: 10 }), 'stars:>=10');
+    assert.strictEqual(api.buildSearchQuery('', { maxStars: 100 }), 'stars:<=100');
+});
+
+const rateLimitError = (headers, message = 'API rate limit exceeded') =>
+    Object.assign(new Error(message), { status: 403, response: { headers } });
+
+test('getRetryDelay backs off exponentially on server errors', () => {
+    const error = Object.assign(new Error('Bad Gateway'), { status: 502, response: { headers: {} } });
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const delay = api.getRetryDelay(error, attempt);
+        assert.ok(delay >= 1000 * 2 ** attempt && delay < 1000 * 2 ** attempt + 1000);
+    }
+    assert.strictEqual(api.getRetryDelay(error, 4), null);
+});
+
+test('getRetryDelay retries network failures but not client errors', () => {
+    assert.ok(api.getRetryDelay(new Error('socket hang up'), 0) >= 1000);
+    assert.strictEqual(api.getRetryDelay(Object.assign(new Error('Not Found'), { status: 404, response: { headers: {} } }), 0), null);
+    assert.strictEqual(api.getRetryDelay(Object.assign(new Error('aborted'), { name: 'AbortError' }), 0), null);
+});
+
+test('getRetryDelay honours retry-after', () => {
+    assert.strictEqual(api.getRetryDelay(rateLimitError({ 'retry-after': '3' }), 0), 3000);
+});
+
+test('getRetryDelay waits for the primary limit to reset', () => {
+    const reset = Math.floor(Date.now() / 1000) + 10;
+    const delay = api.getRetryDelay(rateLimitError({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }), 0);
+    assert.ok(delay > 9000 && delay <= 11000);
+});
+
+test('getRetryDelay gives up when the reset is too far away', () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const error = rateLimitError({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+    assert.strictEqual(api.getRetryDelay(error, 0), null);
+    assert.ok(Math.abs(error.rateLimitReset - (reset * 1000 + 1000)) < 1000);
+});
+
+test('getRetryDelay falls back to backoff when the reset header is not a number', () => {
+    const error = rateLimitError({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': 'soon' });
+    const delay = api.getRetryDelay(error, 0);
+    assert.ok(Number.isFinite(delay) && delay >= 1000 && delay < 2000);
+});
+
+test('getRetryDelay does not retry a plain forbidden', () => {
+    assert.strictEqual(api.getRetryDelay(rateLimitError({}, 'Resource not accessible'), 0), null);
+});
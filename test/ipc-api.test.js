@@ -0,0 +1,59 @@
+// ipc-api.test.js - What the main process keeps around after sign-out, and what it takes from the page
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const RepoStorage = require('../repo-storage');
+
+const handlers = new Map();
+
+// Outside Electron, require('electron') only gives the binary's path; nothing here opens windows
+require.cache[require.resolve('electron')] = {
+    exports: { app: {}, BrowserWindow: {}, dialog: {}, ipcMain: { handle: (channel, handler) => handlers.set(channel, handler) }, shell: {} }
+};
+const IpcApi = require('../ipc-api');
+
+test('signing out empties the API response cache', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'repospace-ipc-'));
+    t.after(() => fs.remove(root));
+    const storage = new RepoStorage();
+    storage.baseDir = root;
+    storage.dbPath = path.join(root, '.repospace-library.json');
+
+    const api = new IpcApi(storage);
+    await api.ready;
+    const key = api.apiCache.getKey('/user', 'ghp_test');
+    await api.apiCache.set(key, { etag: '"abc"', data: { login: 'octocat' } });
+    assert.ok(await api.apiCache.get(key));
+
+    await api.signOut();
+
+    assert.strictEqual(await api.apiCache.get(key), null);
+    assert.ok(!(await fs.pathExists(api.apiCache.cacheDir)));
+    assert.strictEqual(api.githubAPI.authenticated, false);
+});
+
+test('clones come from the GitHub URL built in main, whatever the page sends', async (t) => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'repospace-ipc-'));
+    t.after(() => fs.remove(root));
+    const storage = new RepoStorage();
+    storage.baseDir = root;
+    storage.dbPath = path.join(root, '.repospace-library.json');
+
+    const api = new IpcApi(storage);
+    api.register();
+    await api.ready;
+    const cloned = [];
+    api.downloadManager.clone = async (repo, cloneUrl) => cloned.push(cloneUrl);
+    api.downloadQueue.pump = () => {};
+
+    const event = { sender: { isDestroyed: () => false, send() {} } };
+    const repoData = { fullName: 'octo/hello', cloneUrl: 'ext::sh -c touch% /tmp/pwned' };
+    const { value: saved } = await handlers.get('storage:saveRepoMetadata')(event, repoData, 'work');
+    await handlers.get('downloads:clone')(event, 'progress-1', saved.repo.id, { cloneUrl: '--upload-pack=touch /tmp/pwned' });
+    assert.deepStrictEqual(cloned, ['https://github.com/octo/hello.git']);
+
+    const { value: itemId } = await handlers.get('queue:add')(event, { fullName: 'octo/queued', cloneUrl: 'file:///etc' }, 'work', { mode: 'clone', cloneUrl: 'file:///etc' });
+    assert.strictEqual(api.downloadQueue.items.find(item => item.id === itemId).cloneUrl, 'https://github.com/octo/queued.git');
+});
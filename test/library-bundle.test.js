@@ -0,0 +1,168 @@
+// library-bundle.test.js - Importing bundle entries safely and without machine-specific settings
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const RepoStorage = require('../repo-storage');
+const LibraryBundle = require('../library-bundle');
+
+// A library in a temp folder with an in-memory database
+async function createStorage(t, name) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), `repospace-${name}-`));
+    t.after(() => fs.remove(root));
+
+    const storage = new RepoStorage();
+    storage.baseDir = root;
+    storage.db = { data: { version: 1, repos: [] }, write() {} };
+    return storage;
+}
+
+// An unpacked bundle with one repo in it, as importBundle leaves it before registering
+async function createStaging(storage) {
+    const stagingDir = path.join(storage.baseDir, '.repospace-import-test');
+    await fs.outputFile(path.join(stagingDir, 'work', 'octo-hello', 'README.md'), 'hello');
+    await fs.outputJSON(path.join(stagingDir, 'work', 'octo-hello', '.repospace-meta.json'), {
+        fullName: 'octo/hello',
+        linked: true,
+        sourcePath: '/home/someone/src/hello'
+    });
+    return stagingDir;
+}
+
+test('importRepo refuses entry paths outside the bundle', async (t) => {
+    const storage = await createStorage(t, 'import');
+    const bundle = new LibraryBundle(storage);
+    const stagingDir = await createStaging(storage);
+    await fs.outputFile(path.join(storage.baseDir, 'private', 'notes.txt'), 'private');
+
+    const entries = [
+        { fullName: 'octo/hello', category: 'work', path: '../private' },
+        { fullName: 'octo/hello', category: 'work', path: 'work/../../private' },
+        { fullName: 'octo/hello', category: 'work', path: '/tmp' },
+        { fullName: 'octo/hello', category: 'work', path: 'work' },
+        { fullName: 'octo/hello', category: 'work', path: 'work/octo-hello/nested' }
+    ];
+    for (const entry of entries) {
+        await assert.rejects(bundle.importRepo(stagingDir, entry), /Invalid path in bundle/, entry.path);
+    }
+    assert.ok(await fs.pathExists(path.join(storage.baseDir, 'private', 'notes.txt')));
+    assert.strictEqual(storage.getAllRepos().length, 0);
+});
+
+test('importRepo refuses names and categories that would land outside the library', async (t) => {
+    const storage = await createStorage(t, 'import');
+    const bundle = new LibraryBundle(storage);
+    const stagingDir = await createStaging(storage);
+
+    await assert.rejects(bundle.importRepo(stagingDir, { fullName: 'octo/../../../evil', category: 'work', path: 'work/octo-hello' }), /Invalid path in bundle/);
+    await assert.rejects(bundle.importRepo(stagingDir, { fullName: 'octo/hello', category: '..', path: 'work/octo-hello' }), /Invalid category name/);
+    await assert.rejects(bundle.importRepo(stagingDir, { fullName: 'octo/hello', category: 'a/b', path: 'work/octo-hello' }), /Invalid category name/);
+    await assert.rejects(bundle.importRepo(stagingDir, { category: 'work', path: 'work/octo-hello' }), /Incomplete bundle entry/);
+    assert.ok(await fs.pathExists(path.join(stagingDir, 'work', 'octo-hello', 'README.md')));
+});
+
+test('importRepo drops linked and sourcePath from the entry and the meta file', async (t) => {
+    const storage = await createStorage(t, 'import');
+    const bundle = new LibraryBundle(storage);
+    const stagingDir = await createStaging(storage);
+
+    const repo = await bundle.importRepo(stagingDir, {
+        fullName: 'octo/hello',
+        category: 'work',
+        path: 'work/octo-hello',
+        linked: true,
+        sourcePath: '/home/someone/src/hello'
+    });
+
+    assert.strictEqual(repo.localPath, path.join(storage.baseDir, 'work', 'octo-hello'));
+    assert.ok(!('linked' in repo) && !('sourcePath' in repo));
+    const meta = await storage.readRepoMetadata(repo.localPath);
+    assert.ok(!('linked' in meta) && !('sourcePath' in meta));
+
+    // A rescan rebuilds the entry from that meta file
+    storage.db.data.repos = [];
+    const report = await storage.rescanLibrary();
+    assert.strictEqual(report.added.length, 1);
+    assert.ok(!report.added[0].linked && !report.added[0].sourcePath);
+});
+
+test('a linked repo travels as an ordinary saved folder', async (t) => {
+    const source = await createStorage(t, 'source');
+    const checkout = path.join(source.baseDir, '..', `${path.basename(source.baseDir)}-checkout`);
+    t.after(() => fs.remove(checkout));
+    await fs.outputFile(path.join(checkout, 'index.js'), 'module.exports = 1;\n');
+
+    const linked = await source.addLocalRepo(checkout, 'work', { link: true, fullName: 'octo/linked' });
+    assert.ok(linked.linked && linked.sourcePath);
+    const sourceMeta = await source.readRepoMetadata(linked.localPath);
+    assert.ok(!('linked' in sourceMeta) && !('sourcePath' in sourceMeta));
+
+    const bundlePath = path.join(source.baseDir, '..', `${path.basename(source.baseDir)}.tar.gz`);
+    t.after(() => fs.remove(bundlePath));
+    await new LibraryBundle(source).exportBundle([linked], bundlePath);
+
+    const target = await createStorage(t, 'target');
+    const result = await new LibraryBundle(target).importBundle(bundlePath);
+
+    assert.strictEqual(result.imported.length, 1);
+    const imported = result.imported[0];
+    assert.ok(!imported.linked && !imported.sourcePath);
+    assert.ok((await fs.lstat(imported.localPath)).isDirectory());
+    assert.strictEqual(await fs.readFile(path.join(imported.localPath, 'index.js'), 'utf8'), 'module.exports = 1;\n');
+});
+
+test('importRepo keeps only the remote from a bundled .git', async (t) => {
+    const storage = await createStorage(t, 'import');
+    if (!(await storage.git.isAvailable())) return t.skip('git is not installed');
+    const bundle = new LibraryBundle(storage);
+    const stagingDir = await createStaging(storage);
+    const stagedRepo = path.join(stagingDir, 'work', 'octo-hello');
+    const marker = path.join(storage.baseDir, 'pwned');
+
+    await storage.git.run(['init', '--quiet'], { cwd: stagedRepo });
+    const configPath = path.join(stagedRepo, '.git', 'config');
+    await fs.appendFile(configPath, [
+        '[core]',
+        `\tfsmonitor = touch ${marker}`,
+        `\tsshCommand = touch ${marker}`,
+        '[remote "origin"]',
+        '\turl = https://github.com/octo/hello.git',
+        '\tfetch = +refs/heads/*:refs/remotes/origin/*',
+        `\tuploadpack = touch ${marker}`,
+        '[include]',
+        '\tpath = /tmp/elsewhere.gitconfig',
+        ''
+    ].join('\n'));
+    await fs.outputFile(path.join(stagedRepo, '.git', 'hooks', 'post-checkout'), `#!/bin/sh\ntouch ${marker}\n`, { mode: 0o755 });
+
+    const repo = await bundle.importRepo(stagingDir, { fullName: 'octo/hello', category: 'work', path: 'work/octo-hello', mode: 'clone' });
+
+    const config = await storage.git.run(['config', '--file', path.join(repo.localPath, '.git', 'config'), '--list']);
+    assert.deepStrictEqual(config.trim().split('\n').sort(), [
+        'core.bare=false',
+        'core.repositoryformatversion=0',
+        'remote.origin.fetch=+refs/heads/*:refs/remotes/origin/*',
+        'remote.origin.url=https://github.com/octo/hello.git'
+    ]);
+    assert.deepStrictEqual(await fs.readdir(path.join(repo.localPath, '.git', 'hooks')), []);
+    assert.strictEqual(repo.mode, 'clone');
+
+    // git status would start the fsmonitor command if it had survived
+    await storage.git.run(['status', '--porcelain'], { cwd: repo.localPath });
+    await storage.git.run(['checkout', '--quiet', '-b', 'other'], { cwd: repo.localPath });
+    assert.ok(!(await fs.pathExists(marker)));
+});
+
+test('importRepo drops a .git file and updates the copy like a download', async (t) => {
+    const storage = await createStorage(t, 'import');
+    const bundle = new LibraryBundle(storage);
+    const stagingDir = await createStaging(storage);
+    await fs.outputFile(path.join(stagingDir, 'work', 'octo-hello', '.git'), 'gitdir: /home/someone/src/hello/.git/worktrees/hello\n');
+
+    const repo = await bundle.importRepo(stagingDir, { fullName: 'octo/hello', category: 'work', path: 'work/octo-hello', mode: 'clone' });
+
+    assert.ok(!(await fs.pathExists(path.join(repo.localPath, '.git'))));
+    assert.strictEqual(repo.mode, 'archive');
+    assert.strictEqual((await storage.readRepoMetadata(repo.localPath)).mode, 'archive');
+});
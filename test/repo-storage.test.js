@@ -0,0 +1,129 @@
+// repo-storage.test.js - Saved folders compared with and patched from git trees
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const RepoStorage = require('../repo-storage');
+
+const blobSha = (content) => crypto.createHash('sha1')
+    .update(`blob ${Buffer.byteLength(content)}\0`)
+    .update(content)
+    .digest('hex');
+
+// A saved repo next to a file that lives outside it, which nothing may touch
+async function setup(t) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'repospace-storage-'));
+    t.after(() => fs.remove(root));
+
+    const repoDir = path.join(root, 'repo');
+    const outsideDir = path.join(root, 'outside');
+    await fs.outputFile(path.join(outsideDir, 'secret.txt'), 'secret');
+    await fs.outputFile(path.join(repoDir, 'README.md'), 'hello');
+    await fs.symlink('../outside/secret.txt', path.join(repoDir, 'link.txt'));
+    await fs.symlink('../outside', path.join(repoDir, 'linked-dir'));
+
+    const storage = new RepoStorage();
+    storage.baseDir = root;
+    return { storage, repoDir, outsideDir };
+}
+
+test('resolveRepoFile refuses paths that leave the repo folder', async (t) => {
+    const { storage, repoDir } = await setup(t);
+    assert.throws(() => storage.resolveRepoFile(repoDir, '../outside/secret.txt'), /Invalid file path/);
+    assert.throws(() => storage.resolveRepoFile(repoDir, '/etc/passwd'), /Invalid file path/);
+    assert.throws(() => storage.resolveRepoFile(repoDir, ''), /Invalid file path/);
+    assert.strictEqual(storage.resolveRepoFile(repoDir, 'src/../README.md'), path.join(repoDir, 'README.md'));
+});
+
+test('writeRepoFile and removeRepoFile stay inside the repo folder', async (t) => {
+    const { storage, repoDir } = await setup(t);
+    await storage.writeRepoFile(repoDir, 'docs/guide/intro.md', 'intro');
+    assert.strictEqual(await fs.readFile(path.join(repoDir, 'docs/guide/intro.md'), 'utf8'), 'intro');
+    await assert.rejects(storage.writeRepoFile(repoDir, '../planted.txt', 'planted'), /Invalid file path/);
+
+    // Folders the file leaves empty go with it
+    await storage.removeRepoFile(repoDir, 'docs/guide/intro.md');
+    assert.ok(!(await fs.pathExists(path.join(repoDir, 'docs'))));
+    assert.ok(await fs.pathExists(path.join(repoDir, 'README.md')));
+});
+
+test('findSymlinkInPath reports the first symlink below the repo folder', async (t) => {
+    const { storage, repoDir } = await setup(t);
+    assert.strictEqual(await storage.findSymlinkInPath(repoDir, 'README.md'), null);
+    assert.strictEqual(await storage.findSymlinkInPath(repoDir, 'missing/file.txt'), null);
+    assert.strictEqual(await storage.findSymlinkInPath(repoDir, 'link.txt'), 'link.txt');
+    assert.strictEqual(await storage.findSymlinkInPath(repoDir, 'linked-dir/secret.txt'), 'linked-dir');
+    assert.strictEqual(await storage.findSymlinkInPath(repoDir, '.'), null);
+});
+
+test('diffAgainstTree compares symlink blobs as links', async (t) => {
+    const { storage, repoDir } = await setup(t);
+    const diff = await storage.diffAgainstTree(repoDir, [
+        { path: 'README.md', mode: '100644', sha: blobSha('hello') },
+        { path: 'link.txt', mode: '120000', sha: blobSha('../outside/secret.txt') },
+        { path: 'linked-dir', mode: '120000', sha: blobSha('../outside') }
+    ]);
+    assert.deepStrictEqual(diff, { changed: [], removed: [] });
+});
+
+test('diffAgainstTree never reads through a symlink', async (t) => {
+    const { storage, repoDir } = await setup(t);
+    const blobs = [
+        // Same content as the link's target, but upstream it is a file, not a link
+        { path: 'link.txt', mode: '100644', sha: blobSha('secret') },
+        // Upstream has a folder where the saved copy has a link to one
+        { path: 'linked-dir/secret.txt', mode: '100644', sha: blobSha('secret') },
+        { path: 'README.md', mode: '120000', sha: blobSha('hello') }
+    ];
+    const diff = await storage.diffAgainstTree(repoDir, blobs);
+    assert.deepStrictEqual(diff.changed.map(blob => blob.path), blobs.map(blob => blob.path));
+});
+
+test('writeRepoFile and removeRepoFile refuse to follow symlinks', async (t) => {
+    const { storage, repoDir, outsideDir } = await setup(t);
+    await assert.rejects(storage.writeRepoFile(repoDir, 'link.txt', 'overwritten'), /symlink link.txt/);
+    await assert.rejects(storage.writeRepoFile(repoDir, 'linked-dir/secret.txt', 'overwritten'), /symlink linked-dir/);
+    await assert.rejects(storage.writeRepoFile(repoDir, 'linked-dir/new.txt', 'planted'), /symlink linked-dir/);
+    await assert.rejects(storage.removeRepoFile(repoDir, 'linked-dir/secret.txt'), /symlink linked-dir/);
+
+    assert.strictEqual(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf8'), 'secret');
+    assert.deepStrictEqual(await fs.readdir(outsideDir), ['secret.txt']);
+});
+
+test('removeRepoFile unlinks a symlink without touching its target', async (t) => {
+    const { storage, repoDir, outsideDir } = await setup(t);
+    await storage.removeRepoFile(repoDir, 'link.txt');
+    assert.ok(!(await fs.pathExists(path.join(repoDir, 'link.txt'))));
+    assert.strictEqual(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf8'), 'secret');
+});
+
+test('writeRepoBlob writes symlink blobs as links', async (t) => {
+    const { storage, repoDir, outsideDir } = await setup(t);
+    await storage.writeRepoBlob(repoDir, { path: 'link.txt', mode: '120000' }, Buffer.from('README.md'));
+    await storage.writeRepoBlob(repoDir, { path: 'docs/guide.md', mode: '100644' }, Buffer.from('guide'));
+
+    assert.strictEqual(await fs.readlink(path.join(repoDir, 'link.txt')), 'README.md');
+    assert.strictEqual(await fs.readFile(path.join(repoDir, 'docs/guide.md'), 'utf8'), 'guide');
+    assert.strictEqual(await fs.readFile(path.join(outsideDir, 'secret.txt'), 'utf8'), 'secret');
+});
+
+test('migrateFromLocalStorage skips unreadable entries and keeps the rest', async () => {
+    const storage = new RepoStorage();
+    storage.db = { data: { version: 1, repos: [] }, write() {} };
+
+    assert.deepStrictEqual(storage.migrateFromLocalStorage('{not json'), { imported: 0, skipped: 1 });
+    assert.deepStrictEqual(storage.migrateFromLocalStorage('[]'), { imported: 0, skipped: 1 });
+
+    const legacy = JSON.stringify({
+        Tools: [{ fullName: 'octo/tool' }, null, 'octo/string', { name: 'no-full-name' }],
+        Broken: { fullName: 'octo/object' },
+        Docs: [{ fullName: 'octo/docs', description: 'kept' }]
+    });
+    assert.deepStrictEqual(storage.migrateFromLocalStorage(legacy), { imported: 2, skipped: 4 });
+    assert.deepStrictEqual(storage.db.data.repos.map(r => [r.category, r.fullName, r.description]), [
+        ['Tools', 'octo/tool', undefined],
+        ['Docs', 'octo/docs', 'kept']
+    ]);
+});
@@ -0,0 +1,120 @@
+// repo-updater.test.js - Applying upstream changes to a saved archive safely
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const RepoStorage = require('../repo-storage');
+const RepoUpdater = require('../repo-updater');
+const GitHubAPI = require('../github-api');
+
+const blobSha = (content) => crypto.createHash('sha1')
+    .update(`blob ${Buffer.byteLength(content)}\0`)
+    .update(content)
+    .digest('hex');
+
+// Serves one upstream commit from a { path: { content, mode } } map
+function fakeGitHub(files, compareFiles = null) {
+    const blobs = new Map();
+    const tree = Object.entries(files).map(([filePath, file]) => {
+        const sha = blobSha(file.content);
+        blobs.set(sha, Buffer.from(file.content));
+        return { path: filePath, mode: file.mode || '100644', type: 'blob', sha: sha, size: file.content.length };
+    });
+    return {
+        getCommitSha: async () => 'head',
+        getTree: async () => tree,
+        getBlob: async (owner, name, sha) => blobs.get(sha),
+        compareCommits: async () => {
+            if (!compareFiles) throw new Error('No common ancestor');
+            return { files: compareFiles };
+        }
+    };
+}
+
+// A saved archive whose link.txt points at a file outside the repo folder
+async function setup(t) {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'repospace-updater-'));
+    t.after(() => fs.remove(root));
+
+    const repoDir = path.join(root, 'uncategorized', 'octo-hello');
+    const outsideFile = path.join(root, 'outside.txt');
+    await fs.outputFile(outsideFile, 'outside');
+    await fs.outputFile(path.join(repoDir, 'README.md'), 'old readme');
+    await fs.symlink('../../outside.txt', path.join(repoDir, 'link.txt'));
+
+    const storage = new RepoStorage();
+    storage.baseDir = root;
+    const repo = { id: 'repo-1', fullName: 'octo/hello', category: 'uncategorized', localPath: repoDir };
+    return { storage, repo, repoDir, outsideFile };
+}
+
+test('updating from the tree leaves unchanged symlinks and their targets alone', async (t) => {
+    const { storage, repo, repoDir, outsideFile } = await setup(t);
+    const github = fakeGitHub({
+        'README.md': { content: 'new readme' },
+        'link.txt': { content: '../../outside.txt', mode: '120000' }
+    });
+    const updater = new RepoUpdater(github, storage);
+
+    const result = await updater.updateArchive(repo, { ref: 'main', commitSha: null }, null);
+
+    assert.strictEqual(result.changed, 1);
+    assert.strictEqual(await fs.readFile(path.join(repoDir, 'README.md'), 'utf8'), 'new readme');
+    assert.strictEqual(await fs.readlink(path.join(repoDir, 'link.txt')), '../../outside.txt');
+    assert.strictEqual(await fs.readFile(outsideFile, 'utf8'), 'outside');
+});
+
+test('a symlink that moved upstream is repointed, not written through', async (t) => {
+    const { storage, repo, repoDir, outsideFile } = await setup(t);
+    const github = fakeGitHub({
+        'README.md': { content: 'old readme' },
+        'link.txt': { content: 'README.md', mode: '120000' }
+    });
+    const updater = new RepoUpdater(github, storage);
+
+    const result = await updater.updateArchive(repo, { ref: 'main', commitSha: null }, null);
+
+    assert.strictEqual(result.changed, 1);
+    assert.strictEqual(await fs.readlink(path.join(repoDir, 'link.txt')), 'README.md');
+    assert.strictEqual(await fs.readFile(outsideFile, 'utf8'), 'outside');
+});
+
+test('compared changes that touch a symlink fall back to the tree', async (t) => {
+    const { storage, repo, repoDir, outsideFile } = await setup(t);
+    const github = fakeGitHub({
+        'README.md': { content: 'old readme' },
+        'link.txt': { content: 'README.md', mode: '120000' }
+    }, [{ filename: 'link.txt', status: 'modified', sha: blobSha('README.md') }]);
+    const updater = new RepoUpdater(github, storage);
+
+    await updater.updateArchive(repo, { ref: 'main', commitSha: 'base' }, null);
+
+    assert.strictEqual(await fs.readlink(path.join(repoDir, 'link.txt')), 'README.md');
+    assert.strictEqual(await fs.readFile(outsideFile, 'utf8'), 'outside');
+});
+
+test('a tree GitHub could only list in part never deletes files', async (t) => {
+    const { storage, repo, repoDir } = await setup(t);
+    await fs.outputFile(path.join(repoDir, 'src/index.js'), 'module.exports = 1;');
+    const github = new GitHubAPI();
+    github.getCommitSha = async () => 'head';
+    // The real getTree, over a response that only lists README.md
+    github.octokit = {
+        rest: {
+            git: {
+                getTree: async () => ({
+                    data: { truncated: true, tree: [{ path: 'README.md', mode: '100644', type: 'blob', sha: blobSha('new readme'), size: 10 }] }
+                })
+            }
+        }
+    };
+    const updater = new RepoUpdater(github, storage);
+
+    await assert.rejects(updater.updateArchive(repo, { ref: 'main', commitSha: null }, null), /too large/);
+
+    assert.strictEqual(await fs.readFile(path.join(repoDir, 'src/index.js'), 'utf8'), 'module.exports = 1;');
+    assert.strictEqual(await fs.readFile(path.join(repoDir, 'README.md'), 'utf8'), 'old readme');
+    assert.ok((await fs.lstat(path.join(repoDir, 'link.txt'))).isSymbolicLink());
+});
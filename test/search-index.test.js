@@ -0,0 +1,37 @@
+// search-index.test.js - Query parsing for offline search
+const test = require('node:test');
+const assert = require('node:assert');
+const SearchIndex = require('../search-index');
+
+const index = new SearchIndex({ baseDir: '/tmp/repospace-test' });
+
+test('plain words become lowercased terms', () => {
+    assert.deepStrictEqual(index.parseQuery('Hello World'), {
+        terms: ['hello', 'world'], path: null, language: null, category: null, repo: null
+    });
+});
+
+test('quoted phrases stay together', () => {
+    assert.deepStrictEqual(index.parseQuery('"fetch data" now').terms, ['fetch data', 'now']);
+});
+
+test('qualifiers are pulled out of the terms', () => {
+    const parsed = index.parseQuery('render path:src/**/*.js lang:JS category:Work repo:Octo/Hello');
+    assert.deepStrictEqual(parsed.terms, ['render']);
+    assert.strictEqual(parsed.path, 'src/**/*.js');
+    assert.strictEqual(parsed.language, 'js');
+    assert.strictEqual(parsed.category, 'work');
+    assert.strictEqual(parsed.repo, 'octo/hello');
+});
+
+test('quoted qualifier values may contain spaces', () => {
+    const parsed = index.parseQuery('category:"Side Projects" todo');
+    assert.strictEqual(parsed.category, 'side projects');
+    assert.deepStrictEqual(parsed.terms, ['todo']);
+});
+
+test('unknown qualifiers are searched as text', () => {
+    const parsed = index.parseQuery('language:Python http://example.com');
+    assert.strictEqual(parsed.language, 'python');
+    assert.deepStrictEqual(parsed.terms, ['http://example.com']);
+});
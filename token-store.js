@@ -0,0 +1,37 @@
+// token-store.js - Keeps the GitHub access token on disk, encrypted with the OS keychain
+const fs = require('fs-extra');
+const { safeStorage } = require('electron');
+
+class TokenStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // Never falls back to plain text: without OS encryption the token stays in memory only
+  async save(token) {
+    if (!safeStorage.isEncryptionAvailable()) {
+      throw new Error('OS encryption is not available, so the sign-in will not be remembered');
+    }
+    await fs.outputFile(this.filePath, safeStorage.encryptString(token), { mode: 0o600 });
+  }
+
+  async load() {
+    if (!(await fs.pathExists(this.filePath)) || !safeStorage.isEncryptionAvailable()) {
+      return null;
+    }
+    try {
+      return safeStorage.decryptString(await fs.readFile(this.filePath));
+    } catch (error) {
+      // Encrypted by another OS user or keychain; it can never be read again
+      console.warn('Discarding unreadable stored token:', error.message);
+      await this.clear();
+      return null;
+    }
+  }
+
+  async clear() {
+    await fs.remove(this.filePath);
+  }
+}
+
+module.exports = TokenStore;